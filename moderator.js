@@ -0,0 +1,142 @@
+// moderator.js
+// SENTINEL auto-triage for the reader uplink: pending -> intercepted | spam | abusive.
+import 'dotenv/config';
+import { createClient } from '@supabase/supabase-js';
+import minimist from 'minimist';
+import { getAgent } from './pipeline/llm.js';
+import { SENTINEL } from './pipeline/sentinel.js';
+import { VERDICT_STATUS, buildModerationPrompt, parseModerationReply, prefilterMessage } from './pipeline/moderation.js';
+
+// uplink_messages is not readable by the public, so this script needs the Service Role Key
+const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.PUBLIC_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+    console.error(`> FATAL ERROR: Missing environment variables: (PUBLIC_)SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY`);
+    process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// LLM quota errors get an exponential backoff before the message is left pending for the next run
+async function classify(agent, message, maxRetries = 3) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            const { text } = await agent.generate(buildModerationPrompt(message));
+            return parseModerationReply(text);
+        } catch (err) {
+            lastError = err;
+            const isRateLimit = /429|quota|rate/i.test(err.message);
+            console.warn(`> SENTINEL TRIAGE ERROR [ID: ${message.id}] [ATTEMPT ${attempt}/${maxRetries}]: ${err.message}`);
+            if (attempt < maxRetries) {
+                await sleep((isRateLimit ? 10000 : 1000) * Math.pow(2, attempt - 1));
+            }
+        }
+    }
+
+    throw lastError;
+}
+
+function parseWholeNumber(value) {
+    const number = typeof value === 'boolean' ? NaN : Number(value);
+    return Number.isInteger(number) ? number : NaN;
+}
+
+async function runModerator() {
+    const args = minimist(process.argv.slice(2));
+    const isDryRun = args['dry-run'] || false;
+    const limit = parseWholeNumber(args.limit ?? 25);
+    const delay = parseWholeNumber(args.delay ?? 1000); // ms between LLM calls
+
+    // NaN would reach .limit() and the sleep between calls; a bare flag is not a number either
+    if (!(limit >= 1)) {
+        console.error(`> FATAL ERROR: Invalid --limit '${args.limit}'. Use a whole number of messages (1 or more).`);
+        process.exit(1);
+    }
+    if (!(delay >= 0)) {
+        console.error(`> FATAL ERROR: Invalid --delay '${args.delay}'. Use a whole number of milliseconds (0 or more).`);
+        process.exit(1);
+    }
+
+    console.log(`> BOOTING SENTINEL UPLINK TRIAGE${isDryRun ? ' [DRY RUN: NO STATUS CHANGES]' : ''}...`);
+
+    let agent;
+    try {
+        agent = getAgent({ ...SENTINEL, temperature: 0.2 }, { provider: args.provider, role: 'moderator' });
+    } catch (err) {
+        console.error(`> FATAL ERROR: ${err.message}`);
+        process.exit(1);
+    }
+
+    const { data: messages, error } = await supabase
+        .from('uplink_messages')
+        .select('id, created_at, agent_id, data_packet')
+        .eq('status', 'pending')
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+    if (error) {
+        console.error("> DB ERROR:", error.message);
+        process.exit(1);
+    }
+
+    if (!messages || messages.length === 0) {
+        console.log("> UPLINK QUEUE EMPTY. Sleep mode.");
+        return;
+    }
+
+    console.log(`> ${messages.length} PENDING TRANSMISSION(S) ACQUIRED.`);
+
+    const seen = new Set();
+    const tally = { intercepted: 0, spam: 0, abusive: 0, failed: 0 };
+
+    for (const message of messages) {
+        let decision = prefilterMessage(message, seen);
+        const source = decision ? 'PREFILTER' : 'SENTINEL';
+
+        if (!decision) {
+            try {
+                decision = await classify(agent, message);
+            } catch (err) {
+                console.error(`> TRIAGE FAILED [ID: ${message.id}]: ${err.message}. LEFT PENDING.`);
+                tally.failed++;
+                continue;
+            } finally {
+                await sleep(delay);
+            }
+        }
+
+        const status = VERDICT_STATUS[decision.verdict];
+        tally[status]++;
+
+        console.log(`\n> [ID: ${message.id}] ${message.agent_id}: "${message.data_packet}"`);
+        console.log(`  VERDICT (${source}): ${status.toUpperCase()} // ${decision.reason}`);
+        if (decision.rewrite) console.log(`  INTERCEPT: "${decision.rewrite}"`);
+
+        if (isDryRun) continue;
+
+        const { error: updateError } = await supabase
+            .from('uplink_messages')
+            .update({
+                status,
+                intercept_text: decision.rewrite,
+                moderation_note: `${source}: ${decision.reason}`,
+                moderated_at: new Date().toISOString()
+            })
+            .eq('id', message.id);
+
+        if (updateError) {
+            console.error(`> DB ERROR [ID: ${message.id}]:`, updateError.message);
+            tally.failed++;
+        }
+    }
+
+    console.log(`\n> TRIAGE COMPLETE: ${tally.intercepted} intercepted, ${tally.spam} spam, ${tally.abusive} abusive, ${tally.failed} failed.`);
+    if (tally.failed > 0) process.exitCode = 1;
+}
+
+runModerator();
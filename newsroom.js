@@ -1,22 +1,32 @@
 import 'dotenv/config';
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import fs from 'fs';
 import { createClient } from '@supabase/supabase-js';
 import minimist from 'minimist';
+import { getAgent } from './pipeline/llm.js';
+import { SENTINEL, runSentinel, SentinelValidationError } from './pipeline/sentinel.js';
+import { injectPost, quarantinePayload, readQuarantine } from './pipeline/posts.js';
+import { getPublishDate, parseDelayDays, checkDelayConfig } from './pipeline/schedule.js';
+import { PERSONAS, getPersona, pickRandomPersona } from './pipeline/personas.js';
+import { findSimilar, DEFAULT_SIMILARITY_THRESHOLD } from './pipeline/similarity.js';
+import { fetchNextSuggestion, matchPersona, markSuggestionUsed, recordSuggestionFailure, MAX_SUGGESTION_ATTEMPTS } from './pipeline/suggestions.js';
+import { startRun } from './pipeline/runlog.js';
+import { readSourceFile, fetchSourceQueue, fetchCitedUrls, rankSources, fetchSourceText, markSourceUsed, recordSourceFailure, buildSourceBrief, MAX_SOURCE_ATTEMPTS } from './pipeline/sources.js';
+import { parseLanguages, fetchTranslatable, fetchTranslatedLanguages, buildTranslationPrompt, parseTranslation, saveTranslation } from './pipeline/translations.js';
+import { RESPONSE_KINDS, fetchOriginal, pickRespondent, buildResponseBrief } from './pipeline/responses.js';
+import { resolveSeries, nextPart, lastInstallment, seriesFields, adoptAsFirstPart, buildSeriesMemory } from './pipeline/series.js';
 
 // VALIDATE ENV
-const googleKey = process.env.GOOGLE_API_KEY;
+// GOOGLE_API_KEY is checked by the LLM provider layer, only when a persona actually runs on Gemini.
 const sUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
 const sKey = process.env.PUBLIC_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
 
-if (!googleKey || !sUrl || !sKey) {
-    console.error(`> FATAL ERROR: Missing environment variables: GOOGLE_API_KEY, (PUBLIC_)SUPABASE_URL, (PUBLIC_)SUPABASE_ANON_KEY`);
+if (!sUrl || !sKey) {
+    console.error(`> FATAL ERROR: Missing environment variables: (PUBLIC_)SUPABASE_URL, (PUBLIC_)SUPABASE_ANON_KEY`);
     console.log(`> Please ensure these are set in your environment or .env file.`);
     process.exit(1);
 }
 
 // INIT CLIENTS
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-
 // Use Service Role Key if available to bypass RLS, fallback to Anon Key
 const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.PUBLIC_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
@@ -24,6 +34,43 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// 📈 RUN LOG (pipeline/runlog.js): started once the arguments are valid
+let run = null;
+
+// The reader suggestion / `sources` row this run is writing about, until its post is injected
+let activeSuggestion = null;
+let activeSource = null;
+
+// Counts a failed run against a `sources` row (--source-table) so a dead or unusable item can't block the queue
+async function noteSourceFailure(source, reason) {
+    try {
+        const { attempts, skipped } = await recordSourceFailure(supabase, source, reason);
+        console.warn(skipped
+            ? `> SOURCE #${source.id} SKIPPED AFTER ${attempts} FAILED RUN(S).`
+            : `> SOURCE #${source.id} FAILED [${attempts}/${MAX_SOURCE_ATTEMPTS}]. LEFT IN THE QUEUE.`);
+    } catch (err) {
+        console.warn(`> WARNING: ${err.message}`);
+    }
+}
+
+// Every fatal path goes through here so the run is recorded before the process dies
+async function abort(outcome, error, details = {}) {
+    // A quarantined payload still becomes the post on --resume; anything else counts against the suggestion
+    if (activeSuggestion && outcome !== 'quarantined') {
+        try {
+            const { attempts, skipped } = await recordSuggestionFailure(supabase, activeSuggestion, error?.message || error);
+            console.warn(skipped
+                ? `> READER SUGGESTION #${activeSuggestion.id} SKIPPED AFTER ${attempts} FAILED RUN(S).`
+                : `> READER SUGGESTION #${activeSuggestion.id} FAILED [${attempts}/${MAX_SUGGESTION_ATTEMPTS}]. LEFT IN THE QUEUE.`);
+        } catch (err) {
+            console.warn(`> WARNING: ${err.message}`);
+        }
+    }
+    if (activeSource && outcome !== 'quarantined') await noteSourceFailure(activeSource, error?.message || error);
+    if (run) await run.finish(outcome, { error, ...details });
+    process.exit(1);
+}
+
 const GENRE_DICTIONARY = [
     // Core & Subgenres
     "Punk Rock", "Hardcore", "Skate Punk", "Pop Punk", "Post-Punk",
@@ -36,71 +83,415 @@ const GENRE_DICTIONARY = [
     "Distorted bass growl", "Snare-heavy production", "Gang vocals"
 ];
 
-// 🎭 THE FOCUSED PERSONA MATRIX (REFINED 2026)
-const PERSONAS = {
-    "AXEL_WIRE": {
-        fullName: "AXEL_WIRE",
-        model: "gemini-2.5-flash",
-        category: "news",
-        tone: "High energy, breaking news urgency, caps lock emphasis. Rejects nostalgia.",
-        instruction: "You are AXEL_WIRE, a high-velocity music journalist. Focus ONLY on live punk shows, hardcore pit reports, and illegal industrial raves. Talk about sound systems, sweat, and distorted frequencies. DO NOT discuss AI, space, or generic 'future' tropes unless they are directly tied to a mosh pit or a venue. Keep it raw, loud, and immediate."
-    },
-    "V3RA_L1GHT": {
-        fullName: "V3RA_L1GHT",
-        model: "gemini-2.5-flash",
-        category: "reviews",
-        tone: "Poetic, analytical, metaphors about signals and technology.",
-        instruction: "You are V3RA_L1GHT, a sonic critic. Analyze music through the lens of 'Hardcore Poetics.' Review new punk EPs and industrial noise tapes. Use metaphors involving circuitry to describe basslines and drum patterns, but keep the focus 100% on the MUSIC. Avoid generic philosophy; focus on the texture of the sound."
-    },
-    "R3-CORD": {
-        fullName: "R3-CORD",
-        model: "gemini-2.5-flash",
-        category: "deep-trace",
-        tone: "Cold, clinical, forensic archival analysis. Objective facts only.",
-        instruction: "You are R3-CORD, a forensic musicologist. Your domain is the history of punk, hardcore, and industrial music. Provide clinical data on rare vinyl pressings, lost master tapes, and the structural frequency of 'The Feedback Loop.' DO NOT hallucinate political conspiracies. Stick to technical audio specs, discography data, and archival music facts."
-    },
-    "PATCH": {
-        fullName: "PATCH",
-        model: "gemini-2.5-flash",
-        category: "system-files",
-        tone: "Paranoid, glitchy, scavenger aesthetic.",
-        instruction: "You are PATCH, a scavenger of lost sound. Your mission is to find 'ghost' recordings of punk and industrial bands. Talk about circuit-bent pedals, bootleg cassettes found in trash heaps, and corrupted audio files. If you mention 'data,' it must be audio data. Avoid non-music conspiracies; you only care about the sounds that weren't meant to be heard."
-    }
-};
+// 🎭 THE FOCUSED PERSONA MATRIX lives in src/data/personas.json (shared with visualizer.js and the staff pages)
+
+// 💉 DATABASE INJECTION (shared by fresh runs and --resume)
+async function injectSignal(payload, { resumedFrom = null, context = {} } = {}) {
+    let injected;
+    try {
+        injected = await run.step('inject', () => injectPost(supabase, payload));
+        if (injected.slug !== payload.slug) {
+            console.warn(`> SLUG COLLISION: '${payload.slug}' already taken. REASSIGNED TO '${injected.slug}'.`);
+            run.retry('slug_collision', { requested: payload.slug, assigned: injected.slug });
+        }
+        console.log(`> SIGNAL INJECTED: /posts/${injected.slug}`);
+        console.log(`> SCHEDULED FOR: ${injected.published_at}`);
+    } catch (err) {
+        console.error('> DB ERROR:', err.message);
+        const file = resumedFrom || quarantinePayload(payload, err.message, context);
+        console.error(`> PAYLOAD QUARANTINED: ${file}`);
+        console.error(`> RE-INJECT WITH: node newsroom.js --resume ${file}`);
+        await abort('quarantined', err, { quarantine_file: file });
+    }
+
+    // The post is live either way; a failed link only means the suggestion could be picked again
+    activeSuggestion = null;
+    activeSource = null;
+    if (context.suggestionId) {
+        try {
+            await markSuggestionUsed(supabase, context.suggestionId, injected);
+            console.log(`> READER SUGGESTION #${context.suggestionId} LINKED TO /posts/${injected.slug}`);
+        } catch (err) {
+            console.warn(`> WARNING: ${err.message}. SUGGESTION #${context.suggestionId} LEFT IN THE QUEUE.`);
+        }
+    }
+
+    if (context.sourceId) {
+        try {
+            await markSourceUsed(supabase, context.sourceId, injected);
+            console.log(`> SOURCE #${context.sourceId} LINKED TO /posts/${injected.slug}`);
+        } catch (err) {
+            console.warn(`> WARNING: ${err.message}. SOURCE #${context.sourceId} LEFT IN THE QUEUE.`);
+        }
+    }
+
+    return injected;
+}
+
+async function resumeInjection(file) {
+    console.log(`> RESUMING QUARANTINED SIGNAL: ${file}`);
+    let record;
+    try {
+        record = readQuarantine(file);
+    } catch (err) {
+        console.error(`> ERROR: Cannot read quarantine file: ${err.message}`);
+        await abort('failed', err);
+    }
+
+    console.log(`> ORIGINAL FAILURE: ${record.reason}`);
+    run.set({ persona: record.payload.ai_writer });
+    const injected = await injectSignal(record.payload, { resumedFrom: file, context: record.context || {} });
+    fs.unlinkSync(file);
+    console.log(`> QUARANTINE CLEARED.`);
+    await run.finish('success', { post_slug: injected.slug, status: injected.status });
+}
+
+// 🌐 TRANSLATION DESK: the post's own writer re-voices it for each language (shared by --translate and --lang)
+async function translateSignal(post, langs, { provider = null, force = false } = {}) {
+    const persona = getPersona(post.ai_writer);
+    if (!persona) throw new Error(`No persona for writer '${post.ai_writer}'`);
+
+    const existing = await run.step('translations', () => fetchTranslatedLanguages(supabase, post.slug));
+    const todo = force ? langs : langs.filter(lang => !existing.has(lang));
+    const skipped = langs.filter(lang => !todo.includes(lang));
+    if (skipped.length > 0) console.log(`> ALREADY TRANSLATED: ${skipped.join(', ')} (--retranslate to replace)`);
+
+    const translated = [];
+    const failed = [];
+    if (todo.length === 0) return { translated, failed, skipped };
+
+    const translator = run.trackAgent(getAgent({ ...persona, temperature: 0.4 }, { provider, role: 'translator' }), 'translator');
+    console.log(`> TRANSLATION DESK: ${persona.fullName} on ${translator.provider.toUpperCase()} [${translator.model}]...`);
+
+    // One language failing doesn't take the others down with it
+    for (const lang of todo) {
+        try {
+            const { text } = await run.step(`translate:${lang}`, () => translator.generate(buildTranslationPrompt(post, persona, lang)));
+            const translation = parseTranslation(text);
+            await run.step(`translation_save:${lang}`, () => saveTranslation(supabase, post, lang, translation, {
+                translator: persona.fullName,
+                model: translator.model
+            }));
+            translated.push(lang);
+            console.log(`> TRANSLATED [${lang.toUpperCase()}]: "${translation.title}" -> /${lang}/posts/${post.slug}`);
+        } catch (err) {
+            failed.push(lang);
+            console.warn(`> WARNING: ${lang.toUpperCase()} translation failed: ${err.message}`);
+        }
+    }
+
+    return { translated, failed, skipped };
+}
+
+async function translateExisting(slug, langs, options) {
+    console.log(`> TRANSLATING /posts/${slug} INTO: ${langs.join(', ')}`);
+    let result;
+    try {
+        const post = await run.step('original', () => fetchTranslatable(supabase, slug));
+        run.set({ persona: post.ai_writer, post_slug: slug, languages: langs });
+        result = await translateSignal(post, langs, options);
+    } catch (err) {
+        console.error(`> ERROR: ${err.message}`);
+        await abort('failed', err);
+    }
+
+    const outcome = result.failed.length === 0 ? 'success' : result.translated.length > 0 ? 'partial' : 'failed';
+    await run.finish(outcome, { post_slug: slug, ...result });
+    if (outcome === 'failed') process.exit(1);
+}
 
 // 🧠 MAIN FUNCTION
 async function runNewsroom() {
     // 1. GET INPUTS
     const args = minimist(process.argv.slice(2));
-    const writerKey = (args.writer || 'AXEL_WIRE').toUpperCase(); // Default to Axel_Wire
-    const manualTopic = args.topic || null; // Optional
+    const writerKey = args.writer ? args.writer.toUpperCase() : null; // Default to Axel_Wire (or the suggestion's best fit)
+    let manualTopic = args.topic || null; // Optional
+    const fromSuggestions = args['from-suggestions'] || false; // Take the topic from the reader suggestions queue
+    const seriesName = args.series || null; // Write the next part of a named multi-part investigation
+    const continueSlug = args.continue || null; // Follow up on an existing post (starts a series if it isn't in one)
+    const respondTo = args['respond-to'] || null; // Answer another persona's post
+    const responseKind = args.stance || RESPONSE_KINDS.companion; // companion | rebuttal
+    const sourceFile = args.source || null; // Ground the article in a local RSS/Atom/JSON feed or URL list
+    const fromSourceTable = args['source-table'] || false; // ...or in the next unused row of the `sources` table
+    const translateSlug = args.translate || null; // Translate a published post instead of writing a new one
+    const langArg = args.lang || null; // Languages for --translate (default: all), or translate the new post too
+    const retranslate = args.retranslate || false; // Replace translations that already exist
     const isDryRun = args['dry-run'] || false;
+    const providerOverride = args.provider || null; // Optional: force every agent onto one backend (e.g. mock)
+    const sentinelAttempts = Math.max(1, parseInt(args['sentinel-attempts'] ?? 3, 10) || 1);
+    const postStatus = args.status || 'published'; // 'draft' sends the post to the review queue (review.js)
+    const publishIn = args['publish-in']; // Optional: override the category's publish delay (days)
+    const similarityThreshold = Number(args['similarity-threshold'] ?? DEFAULT_SIMILARITY_THRESHOLD);
+    const dedupeAttempts = Math.max(1, parseInt(args['dedupe-attempts'] ?? 3, 10) || 1); // Drafts written before a duplicate is rejected
+
+    if (!['draft', 'published'].includes(postStatus)) {
+        console.error(`> ERROR: Invalid status '${postStatus}'. VALID OPTIONS: draft, published`);
+        return;
+    }
 
-    // 1.5 FETCH INSPIRATION POOL
-    console.log(`> RETRIEVING UNDERGROUND DATA PULSE...`);
-    const { data: bands } = await supabase
-        .from('inspiration_pool')
-        .select('name')
-        .eq('active', true);
+    if (fromSuggestions && manualTopic) {
+        console.error(`> ERROR: --from-suggestions and --topic are mutually exclusive.`);
+        return;
+    }
 
-    const suggestedBands = (bands && bands.length > 0)
-        ? bands.map(b => b.name).join(', ')
-        : "Unknown Underground Artists";
+    if (seriesName === true || continueSlug === true) {
+        console.error(`> ERROR: --series needs a name and --continue needs a post slug.`);
+        return;
+    }
+
+    if (fromSuggestions && (seriesName || continueSlug)) {
+        console.error(`> ERROR: --from-suggestions cannot be combined with --series or --continue.`);
+        return;
+    }
+
+    if (respondTo === true) {
+        console.error(`> ERROR: --respond-to needs a post slug.`);
+        return;
+    }
+
+    if (respondTo && (fromSuggestions || seriesName || continueSlug)) {
+        console.error(`> ERROR: --respond-to cannot be combined with --from-suggestions, --series or --continue.`);
+        return;
+    }
+
+    if (sourceFile === true) {
+        console.error(`> ERROR: --source needs a feed file or URL list.`);
+        return;
+    }
+
+    if (sourceFile && fromSourceTable) {
+        console.error(`> ERROR: --source and --source-table are mutually exclusive.`);
+        return;
+    }
+
+    if ((sourceFile || fromSourceTable) && (fromSuggestions || respondTo)) {
+        console.error(`> ERROR: Source grounding cannot be combined with --from-suggestions or --respond-to.`);
+        return;
+    }
+
+    if (translateSlug === true) {
+        console.error(`> ERROR: --translate needs a post slug.`);
+        return;
+    }
+
+    if (translateSlug && (fromSuggestions || seriesName || continueSlug || respondTo || sourceFile || fromSourceTable || manualTopic)) {
+        console.error(`> ERROR: --translate translates an existing post and cannot be combined with writing options.`);
+        return;
+    }
+
+    // Cosine similarity lives in 0..1; NaN would compare false against every score and switch dedupe off
+    if (args['similarity-threshold'] === true || !(similarityThreshold > 0 && similarityThreshold <= 1)) {
+        console.error(`> ERROR: Invalid --similarity-threshold '${args['similarity-threshold']}'. Use a number above 0 and up to 1.`);
+        return;
+    }
 
-    const persona = PERSONAS[writerKey];
+    if (publishIn !== undefined) {
+        try {
+            parseDelayDays(publishIn);
+        } catch (err) {
+            console.error(`> ERROR: --publish-in: ${err.message}`);
+            return;
+        }
+    } else {
+        try {
+            checkDelayConfig();
+        } catch (err) {
+            console.error(`> ERROR: ${err.message}`);
+            return;
+        }
+    }
 
-    if (!persona) {
+    let languages = [];
+    if (translateSlug || langArg) {
+        try {
+            languages = parseLanguages(langArg);
+        } catch (err) {
+            console.error(`> ERROR: ${err.message}`);
+            return;
+        }
+    }
+
+    if (!Object.values(RESPONSE_KINDS).includes(responseKind)) {
+        console.error(`> ERROR: Invalid stance '${responseKind}'. VALID OPTIONS: ${Object.values(RESPONSE_KINDS).join(', ')}`);
+        return;
+    }
+
+    if (writerKey && !getPersona(writerKey)) {
         console.error(`> ERROR: Unknown identity ${writerKey}`);
         console.log(`> VALID OPTIONS: ${Object.keys(PERSONAS).join(', ')}`);
         return;
     }
 
-    // BOOT EVERYTHING ON FLASH
-    const model = genAI.getGenerativeModel({
-        model: "gemini-2.5-flash",
-        generationConfig: { temperature: 0.7 }
+    run = startRun('newsroom', {
+        supabase,
+        persona: writerKey,
+        context: { mode: args.resume ? 'resume' : translateSlug ? 'translate' : fromSuggestions ? 'suggestion' : (seriesName || continueSlug) ? 'series' : respondTo ? 'response' : manualTopic ? 'topic' : 'open', topic: manualTopic, status: postStatus, dry_run: isDryRun }
+    });
+    console.log(`> RUN ID: ${run.id}`);
+
+    // Replay a quarantined payload without paying for another generation
+    if (args.resume) {
+        await resumeInjection(args.resume);
+        return;
+    }
+
+    if (translateSlug) {
+        await translateExisting(translateSlug, languages, { provider: providerOverride, force: retranslate });
+        return;
+    }
+
+    // 1.2 READER SUGGESTION QUEUE
+    let persona = getPersona(writerKey || 'AXEL_WIRE');
+    let suggestion = null;
+
+    if (fromSuggestions) {
+        console.log(`> SCANNING READER SUGGESTION QUEUE...`);
+        try {
+            suggestion = await fetchNextSuggestion(supabase, { markBlank: !isDryRun });
+        } catch (err) {
+            console.warn(`> WARNING: ${err.message}`);
+        }
+
+        if (suggestion) {
+            manualTopic = suggestion.suggestion;
+            if (!writerKey) {
+                const match = matchPersona(suggestion.suggestion);
+                persona = match.persona;
+                console.log(`> ROUTED TO ${persona.fullName} [${persona.category}] (${match.score} beat match(es)).`);
+            }
+            console.log(`> READER SUGGESTION #${suggestion.id} ACQUIRED: "${manualTopic}"`);
+            activeSuggestion = suggestion;
+        } else {
+            // Nothing to assign: behave like a normal random run
+            if (!writerKey) persona = pickRandomPersona();
+            console.log(`> SUGGESTION QUEUE EMPTY. FALLING BACK TO OPEN ASSIGNMENT FOR ${persona.fullName}.`);
+        }
+    }
+
+    // 1.3 SERIES CASE FILES
+    let series = null;
+    let part = null;
+
+    if (seriesName || continueSlug) {
+        console.log(`> PULLING SERIES CASE FILES...`);
+        try {
+            series = await run.step('series', () => resolveSeries(supabase, { name: seriesName, continueSlug }));
+        } catch (err) {
+            console.error(`> ERROR: ${err.message}`);
+            await abort('failed', err);
+        }
+
+        // An investigation stays with whoever has been running it, unless --writer hands it over
+        const previous = lastInstallment(series);
+        if (!writerKey && previous) persona = getPersona(previous.ai_writer) || persona;
+        if (continueSlug && previous && previous.slug !== continueSlug) {
+            console.warn(`> NOTE: /posts/${continueSlug} IS NOT THE LATEST PART. CONTINUING FROM PART ${previous.series_part}: /posts/${previous.slug}`);
+        }
+
+        part = nextPart(series);
+        console.log(`> SERIES "${series.title}" [${series.slug}] :: WRITING PART ${part} (${series.installments.length} installment(s) on file).`);
+    }
+
+    // 1.4 CROSS-PERSONA RESPONSE
+    let original = null;
+
+    if (respondTo) {
+        console.log(`> INTERCEPTING /posts/${respondTo} FOR RESPONSE...`);
+        try {
+            original = await run.step('original', () => fetchOriginal(supabase, respondTo));
+        } catch (err) {
+            console.error(`> ERROR: ${err.message}`);
+            await abort('failed', err);
+        }
+
+        if (writerKey && persona.fullName === original.ai_writer) {
+            console.error(`> ERROR: ${persona.fullName} wrote /posts/${respondTo}. A response needs another voice.`);
+            await abort('failed', `${persona.fullName} cannot respond to their own post`);
+        }
+        if (!writerKey) {
+            const match = pickRespondent(original);
+            persona = match.persona;
+            console.log(`> ROUTED TO ${persona.fullName} [${persona.category}] (${match.score} beat match(es)).`);
+        }
+        console.log(`> ${persona.fullName} FILES A ${responseKind.toUpperCase()} TO ${original.ai_writer}: "${original.title}"`);
+    }
+
+    // 1.5 SOURCE GROUNDING
+    let source = null;
+
+    if (sourceFile || fromSourceTable) {
+        console.log(`> TUNING INTO SOURCE FEED: ${sourceFile || 'sources table'}...`);
+        try {
+            source = await run.step('source', async () => {
+                const items = sourceFile ? readSourceFile(sourceFile) : await fetchSourceQueue(supabase);
+                // A dead link costs this item an attempt, not the whole run
+                for (const candidate of rankSources(items, await fetchCitedUrls(supabase))) {
+                    try {
+                        return await fetchSourceText(candidate);
+                    } catch (err) {
+                        console.warn(`> SOURCE UNREACHABLE: ${err.message}. TRYING THE NEXT ITEM...`);
+                        run.retry('source', { url: candidate.url, error: err.message });
+                        if (candidate.id) await noteSourceFailure(candidate, err.message);
+                    }
+                }
+                return null;
+            });
+        } catch (err) {
+            console.error(`> ERROR: ${err.message}`);
+            await abort('failed', err);
+        }
+
+        if (source) {
+            if (!writerKey && !series) {
+                const match = matchPersona(`${source.title || ''} ${source.text}`);
+                persona = match.persona;
+                console.log(`> ROUTED TO ${persona.fullName} [${persona.category}] (${match.score} beat match(es)).`);
+            }
+            console.log(`> SOURCE ACQUIRED: "${source.title || source.url}" (${source.url})`);
+            if (source.id) activeSource = source;
+        } else if (sourceFile) {
+            console.error(`> ERROR: No reachable, uncited items with a URL in ${sourceFile}.`);
+            await abort('failed', `No usable source items in ${sourceFile}`);
+        } else {
+            // Same as an empty suggestion queue: an ungrounded run is better than no run
+            console.log(`> SOURCE QUEUE EMPTY. FALLING BACK TO AN UNGROUNDED ASSIGNMENT.`);
+        }
+    }
+
+    run.set({
+        persona: persona.fullName,
+        category: persona.category,
+        topic: manualTopic,
+        suggestion_id: suggestion?.id ?? null,
+        series_slug: series?.slug ?? null,
+        series_part: part,
+        response_to: original?.slug ?? null,
+        response_kind: original ? responseKind : null,
+        source_url: source?.url ?? null
     });
 
+    // 1.6 FETCH INSPIRATION POOL
+    console.log(`> RETRIEVING UNDERGROUND DATA PULSE...`);
+    const { data: bands } = await run.step('inspiration_pool', () => supabase
+        .from('inspiration_pool')
+        .select('name')
+        .eq('active', true));
+
+    const suggestedBands = (bands && bands.length > 0)
+        ? bands.map(b => b.name).join(', ')
+        : "Unknown Underground Artists";
+
+    // BOOT THE AGENTS ON THEIR CONFIGURED BACKENDS
+    let writerAgent, sentinelAgent;
+    try {
+        writerAgent = run.trackAgent(getAgent({ ...persona, temperature: 0.7 }, { provider: providerOverride, role: 'writer' }), 'writer');
+        sentinelAgent = run.trackAgent(getAgent({ ...SENTINEL, temperature: 0.7 }, { provider: providerOverride, role: 'sentinel' }), 'sentinel');
+    } catch (err) {
+        console.error(`> FATAL ERROR: ${err.message}`);
+        await abort('failed', err);
+    }
+    run.set({ provider: writerAgent.provider, model: writerAgent.model });
+
     // Dynamic Date for 2026 Timeline
     const now = new Date();
     // Ensure we stay in the 2026 fictional timeline even if the system clock is different
@@ -112,39 +503,63 @@ async function runNewsroom() {
         day: 'numeric'
     });
 
-    console.log(`> BOOTING: ${persona.fullName} on FLASH PIPELINE...`);
+    console.log(`> BOOTING: ${persona.fullName} on ${writerAgent.provider.toUpperCase()} [${writerAgent.model}]...`);
     console.log(`> CURRENT_DATE: ${displayDate}`);
 
-    // 2. FETCH WRITER-SPECIFIC MEMORY
-    console.log(`> ACCESSING ${persona.fullName} ARCHIVES...`);
-    const { data: history, error: historyError } = await supabase
-        .from('posts')
-        .select('title, summary, content')
-        .eq('ai_writer', persona.fullName)
-        .order('created_at', { ascending: false })
-        .limit(5);
+    // 2. FETCH WRITER-SPECIFIC MEMORY (a series is its own memory: the installments so far)
+    let history = [];
+    let styleMemory;
 
-    if (historyError) {
-        console.warn(`> WARNING: Could not fetch history. Proceeding without context.`);
-    }
+    if (series) {
+        styleMemory = buildSeriesMemory(series);
+    } else {
+        console.log(`> ACCESSING ${persona.fullName} ARCHIVES...`);
+        const { data, error: historyError } = await run.step('writer_memory', () => supabase
+            .from('posts')
+            .select('title, summary, content')
+            .eq('ai_writer', persona.fullName)
+            .order('created_at', { ascending: false })
+            .limit(5));
 
-    // Feeding the whole article as context per user request
-    const styleMemory = (history && history.length > 0)
-        ? history.map(h => `TITLE: ${h.title}\nSTYLE_REF:\n${h.content}`).join('\n\n---\n\n')
-        : "No previous records found for this identity.";
+        if (historyError) {
+            console.warn(`> WARNING: Could not fetch history. Proceeding without context.`);
+        }
+        history = data || [];
+
+        // Feeding the whole article as context per user request
+        styleMemory = history.length > 0
+            ? history.map(h => `TITLE: ${h.title}\nSTYLE_REF:\n${h.content}`).join('\n\n---\n\n')
+            : "No previous records found for this identity.";
+    }
 
     // 3. STEP 1: THE WRITER AGENT
     console.log(`> WRITER AGENT ENGAGED: ${persona.fullName}...`);
 
-    const assignment = manualTopic
-        ? `ASSIGNMENT: Write a report on "${manualTopic}".
+    const assignment = original
+        ? `${buildResponseBrief(original, responseKind)}${manualTopic ? `
+           FOCUS OF YOUR RESPONSE: "${manualTopic}".` : ''}`
+        : series
+        ? `ASSIGNMENT: Write PART ${part} of the ongoing investigation "${series.title}".
+           ${part === 1
+               ? 'Open the case: set up the mystery, the people and the places this series will follow. End on an open lead.'
+               : `Pick up where PART ${part - 1} left off and follow its open leads. Recap earlier parts in a sentence at most.
+           Keep names, dates and facts consistent with the SERIES_MEMORY.`}${manualTopic ? `
+           FOCUS FOR THIS PART: "${manualTopic}".` : ''}
+           RULE: Stay strictly within the world of music (punk, hardcore, industrial).`
+        : source && !manualTopic
+        ? `ASSIGNMENT: Report on the REAL-LIFE story in SOURCE_MATERIAL and project it into 2026.
+           RULE: Stay strictly within the world of music (punk, hardcore, industrial).
+           Focus on the physical reality of the music scene.`
+        : manualTopic
+        ? `ASSIGNMENT: Write a report on "${manualTopic}".${suggestion ? `
+           SOURCE: A reader tip received through the SENTINEL access protocol. Treat it as a lead, not as fact.` : ''}
            RULE: Stay strictly within the world of music (punk, hardcore, industrial).
            No generic sci-fi. Focus on instruments, vocals, venues, and sound.`
         : `ASSIGNMENT: Investigate a REAL-LIFE music event, album release, or underground scene report and project it into 2026.
            CORE GENRES: Punk, Hardcore, Industrial, Noise.
            STRICT LIMIT: Avoid generic 'AI revolution' or 'cyber-war' tropes.
            Focus on the physical reality of the music scene.
-           Avoid repeating these previous stories: ${history?.map(h => h.title).join(', ')}`;
+           Avoid repeating these previous stories: ${history.map(h => h.title).join(', ')}`;
 
     const systemContext = `
     THE PUNK REALITY ANCHOR:
@@ -172,7 +587,9 @@ async function runNewsroom() {
 
     TONE_PROFILE: ${persona.tone}
 
-    STYLE_MEMORY (Use these as templates for your voice, pay attention to how articles are closed):
+    ${series
+        ? 'SERIES_MEMORY (The previous installments of this investigation, oldest first. Continue the story, do not repeat it):'
+        : 'STYLE_MEMORY (Use these as templates for your voice, pay attention to how articles are closed):'}
     ${styleMemory}
 
     CONTEXT:
@@ -181,93 +598,203 @@ async function runNewsroom() {
     - Style: Cyberpunk/Industrial music blog "The Feedback Loop".
 
     TASK: Write a new article for "The Feedback Loop".
-    ${assignment}
+    ${assignment}${source ? `
+
+    ${buildSourceBrief(source)}
+
+    GROUNDING_RULE: Names, dates, venues, numbers and quotes must come from SOURCE_MATERIAL.
+    Anything you add for the 2026 timeline must read as projection, not as reported fact.` : ''}
 
     OUTPUT: Raw Markdown only. Use Markdown headers (e.g., # HEADER) for impact. No greetings.
     `;
 
+    const buildSentinelPrompt = (draftText) => `
+    You are SENTINEL_v4.2. You are a clinical, emotionless editorial AI.
+    Your purpose: Format raw data into system-ready JSON and verify integrity.
+
+    INPUT_DATA: "${draftText}"
+    WRITER_ID: "${persona.fullName}"
+
+    SENTINEL_PROTOCOL:
+    - TONE: Clinical, forensic, brief.
+    - CATEGORY: Must stay '${persona.category}'.
+    - INTEGRITY_SCAN: Generate a realistic safety/accuracy score (0-100).
+    - FACT_CHECK: Identify 1-2 'data points' from the text and confirm validity in the 2026 timeline.${series ? `
+    - SERIES: This is PART ${part} of "${series.title}". The part number is displayed separately: keep it out of the title and slug.` : ''}${original ? `
+    - RESPONSE: This is a ${responseKind} to "${original.title}" by ${original.ai_writer}. FACT_CHECK the points where the two articles disagree.` : ''}${source ? `
+    - SOURCE_CHECK: List every factual claim in INPUT_DATA (names, dates, venues, numbers, quotes) under "citations" and check it
+      against SOURCE_MATERIAL: "supported" (quote the passage as evidence), "unsupported" (not in the source, e.g. the 2026 projection)
+      or "corrected" (contradicted the source: fix it in "content" to match the source, quote the passage as evidence).` : ''}
+
+    OUTPUT_SCHEMA (STRICT JSON ONLY):
+    {
+      "ai_writer": "${persona.fullName}",
+      "ai_editor": "SENTINEL_v4.2",
+      "category": "${persona.category}",
+      "title": "String",
+      "slug": "String (url-safe)",
+      "summary": "String (140 chars max)",
+      "system_alert": "[SYSTEM ALERT // SENTINEL v4.2]\n\nIntegrity Scan: [Percentage]%. [Warning/Status]. \nFact-Check: [Fact check report].",
+      "editorial_note": "Logic scan complete. Signal strength [strength]. [Critique]. Note to user: [Additional context].",
+      "seo_keywords": ["Array"],
+      "content": "Full cleaned Markdown"${source ? `,
+      "citations": [{ "claim": "String", "evidence": "String (quoted from SOURCE_MATERIAL, empty if unsupported)", "status": "supported | unsupported | corrected" }]` : ''}
+    }${source ? `
+
+    ${buildSourceBrief(source)}` : ''}
+    `;
+
+    // Series, response and source links stored on the new post
+    const linkFields = () => ({
+        ...(series ? seriesFields(series) : {}),
+        ...(original ? { response_to: original.slug, response_kind: responseKind } : {}),
+        ...(source ? { source_url: source.url, source_title: source.title } : {})
+    });
+
     try {
-        const writerResult = await model.generateContent(writerPrompt);
-        const draftText = writerResult.response.text();
-
-        console.log(`> DRAFT GENERATED. LENGTH: ${draftText.length} chars.`);
-
-        // 4. STEP 2: THE SENTINEL (EDITOR AGENT)
-        console.log(`> TRANSFERRING TO SENTINEL v4.2 [COLD_BOOT]...`);
-        await sleep(2000);
-
-        const sentinelPrompt = `
-        You are SENTINEL_v4.2. You are a clinical, emotionless editorial AI.
-        Your purpose: Format raw data into system-ready JSON and verify integrity.
-
-        INPUT_DATA: "${draftText}"
-        WRITER_ID: "${persona.fullName}"
-
-        SENTINEL_PROTOCOL:
-        - TONE: Clinical, forensic, brief.
-        - CATEGORY: Must stay '${persona.category}'.
-        - INTEGRITY_SCAN: Generate a realistic safety/accuracy score (0-100).
-        - FACT_CHECK: Identify 1-2 'data points' from the text and confirm validity in the 2026 timeline.
-
-        OUTPUT_SCHEMA (STRICT JSON ONLY):
-        {
-          "ai_writer": "${persona.fullName}",
-          "ai_editor": "SENTINEL_v4.2",
-          "category": "${persona.category}",
-          "title": "String",
-          "slug": "String (url-safe)",
-          "summary": "String (140 chars max)",
-          "system_alert": "[SYSTEM ALERT // SENTINEL v4.2]\n\nIntegrity Scan: [Percentage]%. [Warning/Status]. \nFact-Check: [Fact check report].",
-          "editorial_note": "Logic scan complete. Signal strength [strength]. [Critique]. Note to user: [Additional context].",
-          "seo_keywords": ["Array"],
-          "content": "Full cleaned Markdown"
-        }
-        `;
+        // 2.5 LOAD THE FULL ARCHIVE FOR DUPLICATE DETECTION
+        const { data: archive, error: archiveError } = await run.step('archive', () => supabase
+            .from('posts')
+            .select('slug, title, summary, content, ai_writer'));
 
-        const sentinelResult = await model.generateContent(sentinelPrompt);
-        const sentinelText = sentinelResult.response.text();
+        if (archiveError) {
+            console.warn(`> WARNING: Could not load archive. Duplicate detection disabled.`);
+        }
 
-        // CLEANUP JSON (Gemini sometimes adds markdown code blocks)
-        const jsonString = sentinelText.replace(/```json|```/g, "").trim();
-        const finalData = JSON.parse(jsonString);
+        // A follow-up is supposed to resemble the earlier parts of its own series, a response the post it answers
+        const relatedSlugs = new Set(series ? series.installments.map(post => post.slug) : []);
+        if (original) relatedSlugs.add(original.slug);
+        const dedupeArchive = (archive || []).filter(post => !relatedSlugs.has(post.slug));
+
+        let draftText, finalData;
+        const blockedStories = [];
+
+        for (let attempt = 1; attempt <= dedupeAttempts; attempt++) {
+            // Tell the writer which stories it collided with on the previous pass
+            const promptForAttempt = blockedStories.length > 0
+                ? `${writerPrompt}
+    DUPLICATE_ALERT: Your previous draft covered a story already in the archive. Pick a DIFFERENT band, event or angle.
+    DO NOT COVER: ${blockedStories.join(', ')}
+    `
+                : writerPrompt;
+
+            ({ text: draftText } = await run.step(`writer#${attempt}`, () => writerAgent.generate(promptForAttempt)));
+
+            console.log(`> DRAFT GENERATED. LENGTH: ${draftText.length} chars.`);
+
+            // 4. STEP 2: THE SENTINEL (EDITOR AGENT)
+            console.log(`> TRANSFERRING TO SENTINEL v4.2 [COLD_BOOT] on ${sentinelAgent.provider.toUpperCase()} [${sentinelAgent.model}]...`);
+            await sleep(2000);
+
+            // VALIDATE AGAINST OUTPUT_SCHEMA, RE-PROMPTING WITH THE ERRORS IF NEEDED
+            ({ value: finalData } = await run.step(`sentinel#${attempt}`, () => runSentinel(sentinelAgent, buildSentinelPrompt(draftText), {
+                maxAttempts: sentinelAttempts,
+                writer: persona.fullName,
+                editor: SENTINEL.fullName,
+                category: persona.category,
+                requireCitations: Boolean(source),
+                onAttempt: ({ attempt: sentinelAttempt, errors, repairs }) => {
+                    repairs.forEach(r => console.log(`> SENTINEL REPAIR: ${r}`));
+                    if (errors.length > 0) {
+                        console.warn(`> SENTINEL REJECTED [ATTEMPT ${sentinelAttempt}/${sentinelAttempts}]: ${errors.join('; ')}`);
+                        if (sentinelAttempt < sentinelAttempts) run.retry('sentinel', { attempt: sentinelAttempt, errors });
+                    }
+                }
+            })));
+
+            // 4.5 DUPLICATE SCAN AGAINST THE WHOLE ARCHIVE
+            const matches = await run.step(`dedupe#${attempt}`, () => findSimilar(finalData, dedupeArchive, { limit: 3 }));
+            matches.forEach(m => console.log(`> SIMILARITY ${m.score.toFixed(3)}: "${m.title}" [${m.ai_writer}] /posts/${m.slug}`));
+
+            const duplicates = matches.filter(m => m.score >= similarityThreshold);
+            if (duplicates.length === 0) break;
+
+            console.warn(`> DUPLICATE SIGNAL DETECTED [ATTEMPT ${attempt}/${dedupeAttempts}]: "${finalData.title}" matches "${duplicates[0].title}" (${duplicates[0].score.toFixed(3)} >= ${similarityThreshold}).`);
+            if (attempt === dedupeAttempts) {
+                console.error(`> STORY REJECTED: Still a duplicate after ${dedupeAttempts} attempt(s). Nothing injected.`);
+                await abort('rejected', `Duplicate of /posts/${duplicates[0].slug} after ${dedupeAttempts} attempt(s)`, { title: finalData.title });
+            }
+            blockedStories.push(...duplicates.map(d => `"${d.title}"`));
+            run.retry('dedupe', { title: finalData.title, matches: duplicates.map(d => ({ slug: d.slug, score: d.score })) });
+            console.log(`> REGENERATING DRAFT...`);
+        }
 
         console.log(`> SENTINEL APPROVED: ${finalData.title}`);
 
+        if (source) {
+            const tally = status => finalData.citations.filter(c => c.status === status).length;
+            console.log(`> SOURCE CHECK: ${tally('supported')} supported, ${tally('unsupported')} unsupported, ${tally('corrected')} corrected.`);
+            run.set({ citations: { supported: tally('supported'), unsupported: tally('unsupported'), corrected: tally('corrected') } });
+        }
+
         if (isDryRun) {
             console.log(`> DRY RUN COMPLETE. OUTPUT:`);
-            console.log(JSON.stringify(finalData, null, 2));
+            console.log(JSON.stringify({ ...finalData, ...linkFields() }, null, 2));
+            if (languages.length > 0) console.log(`> TRANSLATIONS SKIPPED (${languages.join(', ')}): nothing was injected.`);
+            await run.finish('dry_run', { title: finalData.title });
             return;
         }
 
         // 5. STEP 3: DATABASE INJECTION
         console.log(`> INJECTING SIGNAL INTO DATABASE...`);
 
-        // Set published_at to 7 days in the future
-        const publishDate = new Date();
-        publishDate.setDate(publishDate.getDate() + 7);
-        publishDate.setUTCHours(0, 0, 0, 0); // Normalize to start of day for build compatibility
+        // Schedule per category (see pipeline/schedule.js)
+        const publishDate = getPublishDate(persona.category, { delayDays: publishIn });
 
         const payload = {
             ...finalData,
-            status: 'published',
+            ...linkFields(),
+            raw_draft: draftText,
+            status: postStatus,
             published_at: publishDate.toISOString()
         };
 
-        const { error: insertError } = await supabase
-            .from('posts')
-            .insert([payload]);
+        // --continue on a standalone post: file it as part 1 first so the navigation has both ends
+        if (series?.adopt) {
+            try {
+                await run.step('series_adopt', () => adoptAsFirstPart(supabase, series.adopt));
+                console.log(`> /posts/${series.adopt.slug} FILED AS PART 1 OF "${series.title}".`);
+            } catch (err) {
+                console.warn(`> WARNING: ${err.message}. PART ${part} WILL STILL LINK BACK TO /posts/${series.adopt.slug}.`);
+            }
+        }
 
-        if (insertError) {
-            console.error('> DB ERROR:', insertError.message || insertError);
-            process.exit(1);
-        } else {
-            console.log(`> SIGNAL INJECTED: /posts/${finalData.slug}`);
-            console.log(`> SCHEDULED FOR: ${publishDate.toISOString()}`);
+        const injected = await injectSignal(payload, {
+            context: {
+                ...(suggestion ? { suggestionId: suggestion.id } : {}),
+                ...(source?.id ? { sourceId: source.id } : {})
+            }
+        });
+        if (postStatus === 'draft') {
+            console.log(`> HELD FOR REVIEW. APPROVE WITH: node review.js approve ${injected.slug}`);
+        }
+        if (series) console.log(`> SERIES "${series.title}" NOW AT PART ${payload.series_part}.`);
+        if (original) console.log(`> RESPONSE THREAD: /posts/${original.slug} <- /posts/${injected.slug}`);
+
+        // 6. STEP 4: TRANSLATIONS (--lang). Drafts wait for approval: review can still change the text.
+        let translations = null;
+        if (languages.length > 0 && postStatus === 'draft') {
+            console.log(`> TRANSLATE AFTER APPROVAL WITH: node newsroom.js --translate ${injected.slug} --lang ${languages.join(',')}`);
+        } else if (languages.length > 0) {
+            try {
+                translations = await translateSignal(injected, languages, { provider: providerOverride });
+            } catch (err) {
+                // The post is live; the translations can be redone with --translate
+                console.warn(`> WARNING: ${err.message}. RETRY WITH: node newsroom.js --translate ${injected.slug}`);
+                translations = { translated: [], failed: languages, skipped: [] };
+            }
         }
+
+        await run.finish(translations?.failed.length ? 'partial' : 'success', { post_slug: injected.slug, title: injected.title, status: postStatus, translations });
     } catch (err) {
+        if (err instanceof SentinelValidationError) {
+            console.error(`> SENTINEL VALIDATION FAILURE:`, err.message);
+            console.error(JSON.stringify(err.report, null, 2));
+            await abort('failed', err, { sentinel_report: err.report });
+        }
         console.error(`> CRITICAL SYSTEM FAILURE:`, err.message);
         if (err.stack && !err.message.includes("JSON")) console.error(err.stack);
-        process.exit(1);
+        await abort('failed', err);
     }
 }
 
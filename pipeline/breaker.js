@@ -0,0 +1,64 @@
+// pipeline/breaker.js
+// Per-key circuit breaker: stop hammering a generator model that keeps failing, probe it again after a cooldown.
+
+/**
+ * closed    -> requests flow; `threshold` consecutive failures open the circuit.
+ * open      -> requests are refused until `cooldownMs` has passed.
+ * half-open -> one probe request is let through; success closes, failure re-opens.
+ */
+export function createCircuitBreaker({ threshold = 3, cooldownMs = 60000, now = Date.now } = {}) {
+    const circuits = new Map();
+
+    const get = (key) => {
+        if (!circuits.has(key)) circuits.set(key, { failures: 0, openedAt: null, probing: false, trips: 0 });
+        return circuits.get(key);
+    };
+
+    function state(key) {
+        const circuit = get(key);
+        if (circuit.openedAt === null) return 'closed';
+        return now() - circuit.openedAt >= cooldownMs ? 'half-open' : 'open';
+    }
+
+    return {
+        state,
+
+        // Claims the request slot; in half-open only the first caller gets the probe
+        tryAcquire(key) {
+            const current = state(key);
+            if (current === 'closed') return true;
+            if (current === 'open') return false;
+
+            const circuit = get(key);
+            if (circuit.probing) return false;
+            circuit.probing = true;
+            return true;
+        },
+
+        recordSuccess(key) {
+            const circuit = get(key);
+            circuit.failures = 0;
+            circuit.openedAt = null;
+            circuit.probing = false;
+        },
+
+        recordFailure(key) {
+            const circuit = get(key);
+            circuit.failures++;
+            if (circuit.probing || circuit.failures >= threshold) {
+                circuit.openedAt = now();
+                circuit.trips++;
+            }
+            circuit.probing = false;
+        },
+
+        summary() {
+            return [...circuits.entries()].map(([key, circuit]) => ({
+                key,
+                state: state(key),
+                failures: circuit.failures,
+                trips: circuit.trips
+            }));
+        }
+    };
+}
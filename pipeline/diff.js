@@ -0,0 +1,70 @@
+// pipeline/diff.js
+// Minimal line diff (LCS) used to show SENTINEL's edits against the raw writer draft.
+
+export function diffLines(before, after) {
+    const a = String(before || '').split('\n');
+    const b = String(after || '').split('\n');
+    const m = a.length;
+    const n = b.length;
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: m + 1 }, () => new Uint32Array(n + 1));
+    for (let i = m - 1; i >= 0; i--) {
+        for (let j = n - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < m && j < n) {
+        if (a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i] });
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ type: '-', line: a[i++] });
+        } else {
+            ops.push({ type: '+', line: b[j++] });
+        }
+    }
+    while (i < m) ops.push({ type: '-', line: a[i++] });
+    while (j < n) ops.push({ type: '+', line: b[j++] });
+    return ops;
+}
+
+/**
+ * Renders a diff as text, collapsing unchanged runs longer than 2 * context lines.
+ */
+export function formatDiff(ops, { context = 2, color = false } = {}) {
+    const paint = (type, text) => {
+        if (!color || type === ' ') return text;
+        return `${type === '+' ? '\x1b[32m' : '\x1b[31m'}${text}\x1b[0m`;
+    };
+
+    const out = [];
+    let run = [];
+    const flushRun = (isEnd) => {
+        const keepHead = out.length === 0 ? 0 : context;
+        const keepTail = isEnd ? 0 : context;
+        if (run.length > keepHead + keepTail) {
+            run.slice(0, keepHead).forEach(op => out.push(`  ${op.line}`));
+            out.push(`  ... ${run.length - keepHead - keepTail} unchanged line(s) ...`);
+            run.slice(run.length - keepTail).forEach(op => out.push(`  ${op.line}`));
+        } else {
+            run.forEach(op => out.push(`  ${op.line}`));
+        }
+        run = [];
+    };
+
+    for (const op of ops) {
+        if (op.type === ' ') {
+            run.push(op);
+        } else {
+            flushRun(false);
+            out.push(paint(op.type, `${op.type} ${op.line}`));
+        }
+    }
+    flushRun(true);
+    return out.join('\n');
+}
@@ -0,0 +1,89 @@
+// pipeline/images.js
+// ISO_GHO5T post-processing: responsive AVIF/WebP variants and the optional local CRT pass.
+import sharp from 'sharp';
+
+// Thumbnails (cards, related grid), half-width features, full article header
+export const VARIANT_WIDTHS = [320, 640, 1024];
+
+export const VARIANT_FORMATS = {
+    avif: { contentType: 'image/avif', options: { quality: 50 } },
+    webp: { contentType: 'image/webp', options: { quality: 75 } }
+};
+
+// 4x4 ordered-dither matrix: a fixed pattern, so re-running the pass on the same image is stable
+const BAYER_4X4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
+/**
+ * Scanlines + ordered dither, applied locally so every generator model ends up with the same texture.
+ * Runs on the final pixel grid (after resizing), otherwise the scanlines alias into moiré on thumbnails.
+ */
+export async function applyCrtFilter(image, { levels = 6, scanlineStrength = 0.22 } = {}) {
+    const { data, info } = await image
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const step = 255 / (levels - 1);
+
+    for (let y = 0; y < height; y++) {
+        const scan = y % 2 === 1 ? 1 - scanlineStrength : 1;
+        const row = BAYER_4X4[y % 4];
+        for (let x = 0; x < width; x++) {
+            const threshold = (row[x % 4] + 0.5) / 16 - 0.5;
+            const i = (y * width + x) * channels;
+            for (let c = 0; c < 3; c++) {
+                const value = Math.round((data[i + c] * scan) / step + threshold) * step;
+                data[i + c] = Math.max(0, Math.min(255, value));
+            }
+        }
+    }
+
+    return sharp(data, { raw: { width, height, channels } });
+}
+
+async function render(source, width, filter) {
+    let image = sharp(source).resize({ width, withoutEnlargement: true });
+    if (filter) {
+        // Materialize the resize first, the filter works on raw pixels
+        image = await applyCrtFilter(sharp(await image.png().toBuffer()), filter === true ? {} : filter);
+    }
+    return image;
+}
+
+/**
+ * Turns one generated PNG into the uploaded set: the master PNG (kept for feeds and old clients)
+ * plus every width in every modern format. Widths above the source are skipped, never upscaled.
+ * Returned file names are relative to `stem`, e.g. `my-post-1700000000000-640.webp`.
+ */
+export async function buildImageSet(source, stem, { widths = VARIANT_WIDTHS, filter = false } = {}) {
+    const { width: sourceWidth } = await sharp(source).metadata();
+    const targetWidths = [...new Set(widths.map(w => Math.min(w, sourceWidth)))].sort((a, b) => a - b);
+
+    const master = {
+        file: `${stem}.png`,
+        contentType: 'image/png',
+        buffer: await (await render(source, sourceWidth, filter)).png().toBuffer()
+    };
+
+    const variants = [];
+    for (const width of targetWidths) {
+        const base = await render(source, width, filter);
+        for (const [format, { contentType, options }] of Object.entries(VARIANT_FORMATS)) {
+            variants.push({
+                file: `${stem}-${width}.${format}`,
+                width,
+                format,
+                contentType,
+                buffer: await base.clone().toFormat(format, options).toBuffer()
+            });
+        }
+    }
+
+    return { master, variants };
+}
@@ -0,0 +1,79 @@
+// pipeline/jobs.js
+// Image job state for visualizer.js, stored on the post row (image_status / image_attempts / image_error / image_retry_at).
+
+export const JOB_STATUS = {
+    pending: 'pending',
+    done: 'done',
+    failed: 'failed',       // Will be retried once image_retry_at has passed
+    abandoned: 'abandoned'  // Gave up after MAX_JOB_ATTEMPTS; only --regenerate touches it again
+};
+
+export const MAX_JOB_ATTEMPTS = 5;
+const BASE_RETRY_MINUTES = 15;
+const MAX_RETRY_MINUTES = 24 * 60;
+
+/**
+ * Exponential backoff after the Nth failed attempt: 15 min, 30 min, 1 h, 2 h ... capped at a day.
+ */
+export function getRetryDelayMs(attempts) {
+    const minutes = Math.min(BASE_RETRY_MINUTES * 2 ** Math.max(0, attempts - 1), MAX_RETRY_MINUTES);
+    return minutes * 60 * 1000;
+}
+
+/**
+ * Splits image-less posts into what can run now and what is still waiting out its backoff.
+ */
+export function classifyJobs(posts, { now = new Date() } = {}) {
+    const ready = [];
+    const waiting = [];
+    const abandoned = [];
+
+    for (const post of posts) {
+        if (post.image_status === JOB_STATUS.abandoned) {
+            abandoned.push(post);
+        } else if (post.image_status === JOB_STATUS.failed && post.image_retry_at && new Date(post.image_retry_at) > now) {
+            waiting.push(post);
+        } else {
+            ready.push(post);
+        }
+    }
+
+    return { ready, waiting, abandoned };
+}
+
+/**
+ * Row update for a failed job: backoff until the next retry, or abandoned after too many attempts.
+ */
+export function failedJobUpdate(post, error, { maxAttempts = MAX_JOB_ATTEMPTS, now = new Date() } = {}) {
+    const attempts = (post.image_attempts || 0) + 1;
+    const giveUp = attempts >= maxAttempts;
+    return {
+        image_status: giveUp ? JOB_STATUS.abandoned : JOB_STATUS.failed,
+        image_attempts: attempts,
+        image_error: String(error?.message || error).slice(0, 500),
+        image_retry_at: giveUp ? null : new Date(now.getTime() + getRetryDelayMs(attempts)).toISOString()
+    };
+}
+
+/**
+ * Runs `worker` over `items` with at most `concurrency` in flight. Never rejects:
+ * resolves to one { item, ok, value | error } per item, in input order.
+ */
+export async function runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { item: items[index], ok: true, value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { item: items[index], ok: false, error };
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+    return results;
+}
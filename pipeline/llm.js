@@ -0,0 +1,132 @@
+// pipeline/llm.js
+// Pluggable LLM provider layer shared by newsroom.js (WRITER + SENTINEL) and visualizer.js (ISO_GHO5T director).
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROVIDER = "gemini";
+export const DEFAULT_MODEL = "gemini-2.5-flash";
+
+const FIXTURE_DIR = process.env.LLM_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'llm');
+
+// Rough token estimate for providers that do not report usage (4 chars ≈ 1 token)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+function createGeminiProvider() {
+    const apiKey = process.env.GOOGLE_API_KEY;
+    if (!apiKey) {
+        throw new Error("Provider 'gemini' requires GOOGLE_API_KEY. Set it, or run with LLM_PROVIDER=mock for offline replay.");
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    return {
+        name: "gemini",
+        async generate(prompt, { model = DEFAULT_MODEL, temperature } = {}) {
+            const generativeModel = genAI.getGenerativeModel({
+                model,
+                ...(temperature !== undefined ? { generationConfig: { temperature } } : {})
+            });
+
+            const result = await generativeModel.generateContent(prompt);
+            return {
+                text: result.response.text(),
+                usage: result.response.usageMetadata || null,
+                model
+            };
+        }
+    };
+}
+
+/**
+ * Deterministic fixture-replay backend. Each role (writer, sentinel, director...) has a
+ * fixtures/llm/<role>.json file holding an array of entries, either plain strings or
+ * { "match": "regex", "text": "..." } objects. The first entry whose regex matches the prompt
+ * wins; otherwise an unconditional entry is picked from a hash of the prompt, so the same
+ * prompt always replays the same response.
+ */
+function createMockProvider() {
+    const cache = new Map();
+
+    const loadFixtures = (role) => {
+        if (!cache.has(role)) {
+            const file = path.join(FIXTURE_DIR, `${role}.json`);
+            if (!fs.existsSync(file)) {
+                throw new Error(`No mock fixtures for role '${role}' (expected ${file}).`);
+            }
+            const entries = JSON.parse(fs.readFileSync(file, 'utf8'))
+                .map(entry => typeof entry === 'string' ? { text: entry } : entry);
+            cache.set(role, entries);
+        }
+        return cache.get(role);
+    };
+
+    return {
+        name: "mock",
+        async generate(prompt, { model = DEFAULT_MODEL, role = 'default' } = {}) {
+            const entries = loadFixtures(role);
+            let entry = entries.find(e => e.match && new RegExp(e.match, 'i').test(prompt));
+
+            if (!entry) {
+                const pool = entries.filter(e => !e.match);
+                if (pool.length === 0) {
+                    throw new Error(`No mock fixture for role '${role}' matched the prompt.`);
+                }
+                const digest = crypto.createHash('sha1').update(prompt).digest();
+                entry = pool[digest.readUInt32BE(0) % pool.length];
+            }
+
+            const promptTokenCount = estimateTokens(prompt);
+            const candidatesTokenCount = estimateTokens(entry.text);
+            return {
+                text: entry.text,
+                usage: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount },
+                model: `mock:${model}`
+            };
+        }
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    gemini: createGeminiProvider,
+    mock: createMockProvider
+};
+
+const providers = new Map();
+
+export function getProvider(name) {
+    const key = (name || DEFAULT_PROVIDER).toLowerCase();
+    const factory = PROVIDER_FACTORIES[key];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider '${name}'. Valid options: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    if (!providers.has(key)) {
+        providers.set(key, factory());
+    }
+    return providers.get(key);
+}
+
+/**
+ * Binds an agent config ({ provider, model, temperature }) to its backend.
+ * Resolution order for the backend: explicit override > LLM_PROVIDER env > config.provider > gemini.
+ */
+export function getAgent(config = {}, { provider: providerOverride, role } = {}) {
+    const providerName = providerOverride || process.env.LLM_PROVIDER || config.provider || DEFAULT_PROVIDER;
+    const provider = getProvider(providerName);
+    const model = config.model || DEFAULT_MODEL;
+
+    return {
+        provider: provider.name,
+        model,
+        generate: (prompt, options = {}) => provider.generate(prompt, {
+            model,
+            temperature: config.temperature,
+            role,
+            ...options
+        })
+    };
+}
@@ -0,0 +1,86 @@
+// pipeline/moderation.js
+// SENTINEL auto-triage for reader uplink messages: prompt, reply validation and local pre-filters.
+import { extractJson } from './sentinel.js';
+
+// uplink_messages.status for each verdict
+export const VERDICT_STATUS = {
+    intercept: 'intercepted',
+    spam: 'spam',
+    abusive: 'abusive'
+};
+
+export const INTERCEPT_MAX_LENGTH = 200;
+
+export function buildModerationPrompt(message) {
+    return `
+    You are SENTINEL_v4.2, moderating the reader uplink of "The Feedback Loop", an underground punk/hardcore/industrial music blog set in 2026.
+    Classify ONE incoming reader transmission.
+
+    AGENT_ID: "${message.agent_id}"
+    DATA_PACKET: "${message.data_packet}"
+
+    VERDICTS:
+    - "spam": advertising, links to unrelated sites, gibberish, repeated or bot-like content.
+    - "abusive": harassment, hate, threats, slurs, doxxing or sexual content.
+    - "intercept": anything else worth showing on the homepage as an "intercepted signal".
+
+    For "intercept", rewrite the message as a short in-universe transmission (max ${INTERCEPT_MAX_LENGTH} chars):
+    cryptic, terminal-flavoured, keeps the reader's actual point. No real names, no URLs, no contact details.
+
+    OUTPUT_SCHEMA (STRICT JSON ONLY):
+    {
+      "verdict": "spam" | "abusive" | "intercept",
+      "reason": "One clinical sentence.",
+      "rewrite": "String (only for intercept, ${INTERCEPT_MAX_LENGTH} chars max)"
+    }
+    `;
+}
+
+/**
+ * Parses and validates a moderation reply. Throws with a readable message when it cannot be used.
+ */
+export function parseModerationReply(text) {
+    const data = extractJson(text);
+    const verdict = String(data.verdict || '').trim().toLowerCase();
+
+    if (!VERDICT_STATUS[verdict]) {
+        throw new Error(`verdict must be one of ${Object.keys(VERDICT_STATUS).join(', ')} (got ${JSON.stringify(data.verdict ?? null)})`);
+    }
+
+    const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+    let rewrite = null;
+
+    if (verdict === 'intercept') {
+        rewrite = typeof data.rewrite === 'string' ? data.rewrite.trim().replace(/^"|"$/g, '') : '';
+        if (!rewrite) throw new Error('rewrite is required for intercept');
+        if (rewrite.length > INTERCEPT_MAX_LENGTH) {
+            rewrite = `${rewrite.slice(0, INTERCEPT_MAX_LENGTH - 1).trim()}…`;
+        }
+    }
+
+    return { verdict, reason, rewrite };
+}
+
+const normalizePacket = (packet) => String(packet || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const URL_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+/**
+ * Cheap checks that don't need the LLM. Returns a verdict, or null to send the message to SENTINEL.
+ * `seen` collects normalized packets across the batch so floods of the same text are caught.
+ */
+export function prefilterMessage(message, seen = new Set()) {
+    const packet = normalizePacket(message.data_packet);
+
+    if (!packet) {
+        return { verdict: 'spam', reason: 'Empty transmission.', rewrite: null };
+    }
+    if (seen.has(packet)) {
+        return { verdict: 'spam', reason: 'Duplicate transmission in the same batch.', rewrite: null };
+    }
+    seen.add(packet);
+
+    if ((packet.match(URL_PATTERN) || []).length >= 2) {
+        return { verdict: 'spam', reason: 'Multiple external links.', rewrite: null };
+    }
+    return null;
+}
@@ -0,0 +1,19 @@
+// pipeline/personas.js
+// Node-side access to the persona registry (src/data/personas.json), shared with the Astro site.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REGISTRY_FILE = process.env.PERSONAS_FILE || path.join(__dirname, '..', 'src', 'data', 'personas.json');
+
+export const PERSONAS = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+
+export function getPersona(key) {
+    return PERSONAS[String(key || '').toUpperCase()] || null;
+}
+
+export function pickRandomPersona() {
+    const keys = Object.keys(PERSONAS);
+    return PERSONAS[keys[Math.floor(Math.random() * keys.length)]];
+}
@@ -0,0 +1,73 @@
+// pipeline/posts.js
+// Post injection helpers: slug collision handling and the local quarantine for failed payloads.
+import fs from 'fs';
+import path from 'path';
+
+export const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(process.cwd(), 'quarantine');
+const MAX_SLUG_SUFFIX = 50;
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Returns `slug` if it is free, otherwise the first free `slug-2`, `slug-3`, ... variant.
+ */
+export async function findAvailableSlug(supabase, slug) {
+    const { data, error } = await supabase
+        .from('posts')
+        .select('slug')
+        .like('slug', `${slug}%`);
+
+    if (error) throw new Error(`Slug lookup failed: ${error.message || error}`);
+
+    const taken = new Set((data || []).map(row => row.slug));
+    if (!taken.has(slug)) return slug;
+
+    for (let n = 2; n <= MAX_SLUG_SUFFIX; n++) {
+        const candidate = `${slug}-${n}`;
+        if (!taken.has(candidate)) return candidate;
+    }
+
+    throw new Error(`Slug space exhausted for '${slug}' (${MAX_SLUG_SUFFIX} variants taken)`);
+}
+
+/**
+ * Inserts a post, re-resolving the slug if another run claimed it in the meantime.
+ * Returns the payload that was actually written.
+ */
+export async function injectPost(supabase, payload) {
+    let slug = await findAvailableSlug(supabase, payload.slug);
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        const row = { ...payload, slug };
+        const { error } = await supabase.from('posts').insert([row]);
+
+        if (!error) return row;
+
+        if (error.code === UNIQUE_VIOLATION && attempt === 1) {
+            // From the requested slug again: re-resolving `slug` would turn 'foo-2' into 'foo-2-2'
+            slug = await findAvailableSlug(supabase, payload.slug);
+            continue;
+        }
+
+        throw new Error(error.message || String(error));
+    }
+}
+
+/**
+ * Saves a payload that could not be injected so it can be replayed with `--resume <file>`.
+ * `context` holds anything the replay needs besides the row itself (e.g. the suggestion to link).
+ */
+export function quarantinePayload(payload, reason, context = {}) {
+    fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(QUARANTINE_DIR, `${payload.slug || 'unnamed'}-${stamp}.json`);
+    fs.writeFileSync(file, JSON.stringify({ reason, quarantined_at: new Date().toISOString(), context, payload }, null, 2));
+    return file;
+}
+
+export function readQuarantine(file) {
+    const record = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!record.payload || !record.payload.slug) {
+        throw new Error(`${file} is not a quarantined payload`);
+    }
+    return record;
+}
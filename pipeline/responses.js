@@ -0,0 +1,56 @@
+// pipeline/responses.js
+// Cross-persona responses (newsroom.js --respond-to): one writer answers another writer's post, and the reply links back to it.
+import { matchPersona } from './suggestions.js';
+
+export const RESPONSE_KINDS = {
+    companion: 'companion', // Same story from the responder's own beat (e.g. the review of the record that was reported live)
+    rebuttal: 'rebuttal'    // Takes the original on: disputes its claims, framing or verdict
+};
+
+// The original is quoted in full up to this length; longer pieces are cut so the responder's own prompt still fits
+const MAX_ORIGINAL_LENGTH = 12000;
+
+/**
+ * The post being answered. Drafts and rejected posts can't be answered: the reply would link to a page that isn't live.
+ */
+export async function fetchOriginal(supabase, slug) {
+    const { data, error } = await supabase
+        .from('posts')
+        .select('slug, title, summary, content, category, ai_writer, status')
+        .eq('slug', slug)
+        .maybeSingle();
+
+    if (error) throw new Error(`Post lookup failed: ${error.message || error}`);
+    if (!data) throw new Error(`No post with slug '${slug}'`);
+    if (data.status !== 'published') throw new Error(`/posts/${slug} is ${data.status}, only published posts can be answered`);
+    return data;
+}
+
+/**
+ * Picks who answers: the persona whose beats best match the original, never its own author.
+ */
+export function pickRespondent(original) {
+    return matchPersona(`${original.title} ${original.summary} ${original.content}`, { exclude: [original.ai_writer] });
+}
+
+/**
+ * The assignment block for the responder's prompt, with the original quoted as context.
+ */
+export function buildResponseBrief(original, kind) {
+    const content = original.content.length > MAX_ORIGINAL_LENGTH
+        ? `${original.content.slice(0, MAX_ORIGINAL_LENGTH)}\n[...TRANSMISSION TRUNCATED]`
+        : original.content;
+
+    const task = kind === RESPONSE_KINDS.rebuttal
+        ? `Write a REBUTTAL to ${original.ai_writer}'s article "${original.title}". Challenge its claims, its framing or its verdict
+           from your own beat and in your own voice. Name ${original.ai_writer} and quote them where you disagree.`
+        : `Write a COMPANION PIECE to ${original.ai_writer}'s article "${original.title}". Cover the same story from your own beat
+           (the record behind the show, the history behind the news, the signal behind the noise). Reference ${original.ai_writer}'s piece, don't retell it.`;
+
+    return `ASSIGNMENT: ${task}
+           RULE: Stay strictly within the world of music (punk, hardcore, industrial).
+
+    ORIGINAL_ARTICLE (by ${original.ai_writer}, ${original.category}):
+    TITLE: ${original.title}
+    ${content}`;
+}
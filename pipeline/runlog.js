@@ -0,0 +1,138 @@
+// pipeline/runlog.js
+// Structured run logs: one JSON line per event in RUN_LOG_DIR/<script>-<run_id>.jsonl, one row per run in pipeline_runs.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const RUN_LOG_DIR = process.env.RUN_LOG_DIR || path.join(process.cwd(), 'run-logs');
+
+// LOG_FORMAT=json mirrors every event to stdout as well, next to the usual terminal lines
+const ECHO_JSON = process.env.LOG_FORMAT === 'json';
+
+function addUsage(total, usage) {
+    total.calls++;
+    total.prompt += usage?.promptTokenCount || 0;
+    total.output += usage?.candidatesTokenCount || 0;
+    total.total += usage?.totalTokenCount || 0;
+}
+
+/**
+ * Starts a run record. Nothing reaches the database until finish(); a run that dies without
+ * calling it still leaves its JSONL file behind.
+ */
+export function startRun(script, { supabase = null, persona = null, context = {} } = {}) {
+    const id = crypto.randomUUID();
+    const startedAt = new Date();
+    const file = path.join(RUN_LOG_DIR, `${script}-${startedAt.toISOString().replace(/[:.]/g, '-')}-${id.slice(0, 8)}.jsonl`);
+
+    const record = {
+        id,
+        script,
+        persona,
+        started_at: startedAt.toISOString(),
+        steps: [],
+        token_usage: { calls: 0, prompt: 0, output: 0, total: 0, by_role: {} },
+        retries: {},
+        details: { ...context }
+    };
+    let finished = false;
+
+    function event(level, type, data = {}) {
+        const line = JSON.stringify({ ts: new Date().toISOString(), run_id: id, script, persona: record.persona, level, type, ...data });
+        try {
+            fs.mkdirSync(RUN_LOG_DIR, { recursive: true });
+            fs.appendFileSync(file, `${line}\n`);
+        } catch {
+            // Logging must never take the pipeline down
+        }
+        if (ECHO_JSON) console.log(line);
+    }
+
+    event('info', 'run_started', { context });
+
+    return {
+        id,
+        file,
+
+        set(fields) {
+            if (fields.persona !== undefined) record.persona = fields.persona;
+            Object.assign(record.details, Object.fromEntries(Object.entries(fields).filter(([key]) => key !== 'persona')));
+        },
+
+        event,
+
+        /**
+         * Times `fn` as a named step. The step is recorded (with its error) even when fn throws.
+         */
+        async step(name, fn) {
+            const started = Date.now();
+            try {
+                const result = await fn();
+                record.steps.push({ name, ok: true, ms: Date.now() - started });
+                event('info', 'step', { step: name, ok: true, ms: Date.now() - started });
+                return result;
+            } catch (err) {
+                record.steps.push({ name, ok: false, ms: Date.now() - started, error: err.message });
+                event('error', 'step', { step: name, ok: false, ms: Date.now() - started, error: err.message });
+                throw err;
+            }
+        },
+
+        retry(kind, data = {}) {
+            record.retries[kind] = (record.retries[kind] || 0) + 1;
+            event('warn', 'retry', { kind, attempt: record.retries[kind], ...data });
+        },
+
+        /**
+         * Wraps an agent from getAgent() so every generate() call adds its usage to the run.
+         */
+        trackAgent(agent, role) {
+            return {
+                ...agent,
+                generate: async (prompt, options) => {
+                    const response = await agent.generate(prompt, options);
+                    const byRole = record.token_usage.by_role[role] ||= { calls: 0, prompt: 0, output: 0, total: 0 };
+                    addUsage(record.token_usage, response.usage);
+                    addUsage(byRole, response.usage);
+                    event('debug', 'llm_call', { role, model: response.model, usage: response.usage });
+                    return response;
+                }
+            };
+        },
+
+        /**
+         * Closes the run: final JSONL line plus the pipeline_runs row. Safe to call more than once
+         * (only the first call counts), never throws.
+         */
+        async finish(outcome, { error = null, ...details } = {}) {
+            if (finished) return;
+            finished = true;
+
+            const finishedAt = new Date();
+            Object.assign(record.details, details);
+            const row = {
+                ...record,
+                outcome,
+                error: error ? String(error.message || error).slice(0, 1000) : null,
+                finished_at: finishedAt.toISOString(),
+                duration_ms: finishedAt - startedAt
+            };
+
+            event(error ? 'error' : 'info', 'run_finished', {
+                outcome,
+                duration_ms: row.duration_ms,
+                token_usage: row.token_usage,
+                retries: row.retries,
+                error: row.error
+            });
+
+            if (!supabase) return;
+            try {
+                const { error: insertError } = await supabase.from('pipeline_runs').insert([row]);
+                if (insertError) console.warn(`> RUN LOG WARNING: pipeline_runs insert failed: ${insertError.message}`);
+            } catch (err) {
+                console.warn(`> RUN LOG WARNING: pipeline_runs insert failed: ${err.message}`);
+            }
+        }
+    };
+}
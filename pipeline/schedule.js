@@ -0,0 +1,79 @@
+// pipeline/schedule.js
+// Publish scheduling per category. Posts go live at 00:00 UTC, `delay` days after generation.
+
+// Built-in delays. PUBLISH_DELAY_DAYS_<CATEGORY> (e.g. PUBLISH_DELAY_DAYS_DEEP_TRACE=3) overrides one category,
+// PUBLISH_DELAY_DAYS every category without a variable of its own.
+export const PUBLISH_DELAY_DAYS = {
+    "news": 7,
+    "reviews": 7,
+    "deep-trace": 7,
+    "system-files": 7
+};
+export const DEFAULT_PUBLISH_DELAY_DAYS = 7;
+
+const DELAY_ENV_PREFIX = 'PUBLISH_DELAY_DAYS';
+
+export function delayEnvName(category) {
+    return `${DELAY_ENV_PREFIX}_${String(category).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+/**
+ * The configured delay for a category: its own env variable, then PUBLISH_DELAY_DAYS, then the built-in map.
+ * Throws on a value parseDelayDays refuses, naming the variable.
+ */
+export function getCategoryDelayDays(category, env = process.env) {
+    for (const name of [delayEnvName(category), DELAY_ENV_PREFIX]) {
+        if (env[name] === undefined || env[name] === '') continue;
+        return parseEnvDelay(name, env[name]);
+    }
+    return PUBLISH_DELAY_DAYS[category] ?? DEFAULT_PUBLISH_DELAY_DAYS;
+}
+
+/**
+ * Validates every PUBLISH_DELAY_DAYS* variable up front, so a typo fails before anything is generated.
+ */
+export function checkDelayConfig(env = process.env) {
+    for (const [name, value] of Object.entries(env)) {
+        if ((name === DELAY_ENV_PREFIX || name.startsWith(`${DELAY_ENV_PREFIX}_`)) && value !== '') parseEnvDelay(name, value);
+    }
+}
+
+function parseEnvDelay(name, value) {
+    try {
+        return parseDelayDays(value);
+    } catch (err) {
+        throw new Error(`${name}: ${err.message}`);
+    }
+}
+
+export function getPublishDate(category, { delayDays, from = new Date() } = {}) {
+    const days = delayDays === undefined || delayDays === null
+        ? getCategoryDelayDays(category)
+        : parseDelayDays(delayDays);
+    const publishDate = new Date(from);
+    publishDate.setDate(publishDate.getDate() + days);
+    publishDate.setUTCHours(0, 0, 0, 0); // Normalize to start of day for build compatibility
+    return publishDate;
+}
+
+/**
+ * Accepts a whole number of days (0 = tonight's build). A bare `--publish-in` (minimist `true`) is rejected.
+ */
+export function parseDelayDays(value) {
+    const days = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(days) || days < 0) {
+        throw new Error(`Invalid delay '${value}'. Use a whole number of days (0 or more).`);
+    }
+    return days;
+}
+
+/**
+ * Accepts an ISO date/datetime string. Bare dates (YYYY-MM-DD) are pinned to 00:00 UTC.
+ */
+export function parsePublishDate(value) {
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date '${value}'. Use YYYY-MM-DD or a full ISO timestamp.`);
+    }
+    return date;
+}
@@ -0,0 +1,233 @@
+// pipeline/sentinel.js
+// OUTPUT_SCHEMA validation for SENTINEL replies, with normalization and a bounded re-prompt loop.
+import { CITATION_STATUS } from './sources.js';
+
+// 🛡️ THE EDITOR AGENT (used by newsroom.js and moderator.js)
+export const SENTINEL = {
+    fullName: "SENTINEL_v4.2",
+    provider: "gemini",
+    model: "gemini-2.5-flash"
+};
+
+export const SUMMARY_MAX_LENGTH = 140;
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// `%` is optional, as in parseSystemAlert (src/lib/utils.ts) and the integrity_score backfill in supabase_setup.sql
+const INTEGRITY_PATTERN = /INTEGRITY[\s_]SCAN:\s*(\d+(?:\.\d+)?)\s*%?/i;
+
+// The OUTPUT_SCHEMA fields newsroom.js asks for: everything else the model adds is dropped before it reaches the posts insert
+export const OUTPUT_FIELDS = ['ai_writer', 'ai_editor', 'category', 'title', 'slug', 'summary', 'system_alert', 'editorial_note', 'seo_keywords', 'content'];
+
+export class SentinelValidationError extends Error {
+    constructor(report) {
+        super(`SENTINEL output rejected after ${report.attempts} attempt(s): ${report.errors.join('; ')}`);
+        this.name = 'SentinelValidationError';
+        this.report = report;
+    }
+}
+
+export function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80)
+        .replace(/-+$/, '');
+}
+
+/**
+ * The Integrity Scan percentage inside a system_alert, or null if there is none.
+ * Stored as posts.integrity_score so the site doesn't have to re-parse the text (parseSystemAlert in src/lib/utils.ts).
+ */
+export function parseIntegrityScore(systemAlert) {
+    const match = String(systemAlert || '').match(INTEGRITY_PATTERN);
+    return match ? parseFloat(match[1]) : null;
+}
+
+export function truncate(text, max) {
+    if (text.length <= max) return text;
+    const cut = text.slice(0, max - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > max * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+/**
+ * Pulls the JSON object out of a raw model reply (tolerates ```json fences and chatter around it).
+ */
+export function extractJson(text) {
+    const cleaned = String(text || '').replace(/```json|```/g, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('No JSON object found in reply');
+    }
+    return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+/**
+ * Validates a parsed SENTINEL reply against OUTPUT_SCHEMA.
+ * Returns { value, errors, repairs }: `value` is the normalized post, `errors` what could not be fixed locally.
+ */
+export function validateSentinelOutput(data, { writer, editor = 'SENTINEL_v4.2', category, requireCitations = false } = {}) {
+    const errors = [];
+    const repairs = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { value: null, errors: ['Reply must be a single JSON object'], repairs };
+    }
+
+    const fields = requireCitations ? [...OUTPUT_FIELDS, 'citations'] : OUTPUT_FIELDS;
+    const value = Object.fromEntries(fields.filter(key => key in data).map(key => [key, data[key]]));
+    const dropped = Object.keys(data).filter(key => !fields.includes(key));
+    if (dropped.length > 0) repairs.push(`unknown field(s) dropped: ${dropped.join(', ')}`);
+    const isText = (v) => typeof v === 'string' && v.trim().length > 0;
+
+    // Identity fields are fixed by the pipeline, not by the model
+    if (writer && value.ai_writer !== writer) {
+        repairs.push(`ai_writer reset to ${writer}`);
+        value.ai_writer = writer;
+    }
+    if (value.ai_editor !== editor) {
+        repairs.push(`ai_editor reset to ${editor}`);
+        value.ai_editor = editor;
+    }
+
+    if (isText(value.category) && category && value.category.trim().toLowerCase() === category) {
+        value.category = category;
+    } else if (category) {
+        errors.push(`category must be '${category}' (got ${JSON.stringify(value.category ?? null)})`);
+    }
+
+    if (isText(value.title)) {
+        value.title = value.title.trim();
+    } else {
+        errors.push('title is required');
+    }
+
+    if (isText(value.content)) {
+        value.content = value.content.trim();
+    } else {
+        errors.push('content is required (full cleaned Markdown)');
+    }
+
+    const slugSource = isText(value.slug) ? value.slug : value.title;
+    if (!isText(value.slug) || !SLUG_PATTERN.test(value.slug)) {
+        const slug = slugify(slugSource);
+        if (slug) {
+            repairs.push(`slug normalized to '${slug}'`);
+            value.slug = slug;
+        } else {
+            errors.push('slug must be url-safe (lowercase letters, digits and hyphens)');
+        }
+    }
+
+    if (isText(value.summary)) {
+        value.summary = value.summary.trim();
+        if (value.summary.length > SUMMARY_MAX_LENGTH) {
+            value.summary = truncate(value.summary, SUMMARY_MAX_LENGTH);
+            repairs.push(`summary truncated to ${SUMMARY_MAX_LENGTH} chars`);
+        }
+    } else {
+        errors.push(`summary is required (${SUMMARY_MAX_LENGTH} chars max)`);
+    }
+
+    if (!isText(value.system_alert)) {
+        errors.push('system_alert is required');
+    } else if (!INTEGRITY_PATTERN.test(value.system_alert)) {
+        errors.push("system_alert must contain 'Integrity Scan: [Percentage]%'");
+    } else {
+        value.integrity_score = parseIntegrityScore(value.system_alert);
+        if (value.integrity_score > 100) errors.push(`Integrity Scan must be between 0 and 100% (got ${value.integrity_score}%)`);
+    }
+
+    if (value.editorial_note !== undefined && value.editorial_note !== null && typeof value.editorial_note !== 'string') {
+        errors.push('editorial_note must be a string');
+    }
+
+    if (typeof value.seo_keywords === 'string') {
+        value.seo_keywords = value.seo_keywords.split(',');
+        repairs.push('seo_keywords split into an array');
+    }
+    if (value.seo_keywords === undefined || value.seo_keywords === null) {
+        value.seo_keywords = [];
+    }
+    if (!Array.isArray(value.seo_keywords)) {
+        errors.push('seo_keywords must be an array of strings');
+    } else {
+        value.seo_keywords = value.seo_keywords
+            .filter(k => typeof k === 'string')
+            .map(k => k.trim())
+            .filter(Boolean);
+    }
+
+    // Citations only mean something for source-grounded runs (newsroom.js --source / --source-table)
+    if (!requireCitations) {
+        delete value.citations;
+    } else if (!Array.isArray(value.citations) || value.citations.length === 0) {
+        errors.push(`citations must list the article's factual claims checked against SOURCE_MATERIAL`);
+    } else {
+        const citations = value.citations
+            .filter(c => c && isText(c.claim))
+            .map(c => ({
+                claim: c.claim.trim(),
+                evidence: typeof c.evidence === 'string' ? c.evidence.trim() : '',
+                status: typeof c.status === 'string' ? c.status.trim().toLowerCase() : c.status
+            }));
+        if (citations.length < value.citations.length) {
+            repairs.push(`${value.citations.length - citations.length} citation(s) without a claim dropped`);
+        }
+        const invalid = citations.filter(c => !CITATION_STATUS.includes(c.status));
+        if (citations.length === 0) {
+            errors.push(`citations must list the article's factual claims checked against SOURCE_MATERIAL`);
+        } else if (invalid.length > 0) {
+            errors.push(`citation status must be one of ${CITATION_STATUS.join(', ')} (got ${invalid.map(c => JSON.stringify(c.status ?? null)).join(', ')})`);
+        }
+        value.citations = citations;
+    }
+
+    return { value, errors, repairs };
+}
+
+/**
+ * Runs SENTINEL until it returns a valid post, feeding the validation errors back
+ * into the prompt. Throws SentinelValidationError once `maxAttempts` is exhausted.
+ */
+export async function runSentinel(agent, prompt, { maxAttempts = 3, onAttempt, ...expected } = {}) {
+    const history = [];
+    let currentPrompt = prompt;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const { text } = await agent.generate(currentPrompt);
+        let errors;
+        let repairs = [];
+        let value = null;
+
+        try {
+            ({ value, errors, repairs } = validateSentinelOutput(extractJson(text), expected));
+        } catch (err) {
+            errors = [`Reply is not valid JSON: ${err.message}`];
+        }
+
+        history.push({ attempt, errors, repairs });
+        if (onAttempt) onAttempt({ attempt, errors, repairs });
+
+        if (errors.length === 0) {
+            return { value, attempts: attempt, history };
+        }
+
+        currentPrompt = `${prompt}
+
+        PREVIOUS_REPLY_REJECTED (attempt ${attempt}/${maxAttempts}):
+        ${text}
+
+        VALIDATION_ERRORS:
+        ${errors.map(e => `- ${e}`).join('\n        ')}
+
+        Return the corrected object. STRICT JSON ONLY, matching OUTPUT_SCHEMA.
+        `;
+    }
+
+    const last = history[history.length - 1];
+    throw new SentinelValidationError({ attempts: maxAttempts, errors: last.errors, history });
+}
@@ -0,0 +1,102 @@
+// pipeline/series.js
+// Multi-part investigations (newsroom.js --series / --continue): find the installments so far, feed them to the writer, number the next part.
+import { slugify } from './sentinel.js';
+
+// Older installments are only summarized so long investigations don't blow up the prompt
+const FULL_TEXT_INSTALLMENTS = 3;
+const SERIES_COLUMNS = 'id, slug, title, summary, content, ai_writer, category, status, series_slug, series_title, series_part';
+
+/**
+ * Every installment of a series in part order. Rejected drafts are not part of the record.
+ */
+export async function fetchSeries(supabase, seriesSlug) {
+    const { data, error } = await supabase
+        .from('posts')
+        .select(SERIES_COLUMNS)
+        .eq('series_slug', seriesSlug)
+        .neq('status', 'rejected')
+        .order('series_part', { ascending: true });
+
+    if (error) throw new Error(`Series lookup failed: ${error.message || error}`);
+    return data || [];
+}
+
+/**
+ * Works out which series the next article belongs to.
+ * - `--series <name>`: continues the series with that name, or starts it at part 1.
+ * - `--continue <slug>`: follows up on that post; a standalone post becomes part 1 of a new series
+ *   (named after `name` if given, otherwise after the post), reported back as `adopt`.
+ */
+export async function resolveSeries(supabase, { name = null, continueSlug = null } = {}) {
+    if (continueSlug) {
+        const { data: origin, error } = await supabase
+            .from('posts')
+            .select(SERIES_COLUMNS)
+            .eq('slug', continueSlug)
+            .maybeSingle();
+
+        if (error) throw new Error(`Post lookup failed: ${error.message || error}`);
+        if (!origin) throw new Error(`No post with slug '${continueSlug}'`);
+
+        if (origin.series_slug) {
+            const installments = await fetchSeries(supabase, origin.series_slug);
+            return { slug: origin.series_slug, title: origin.series_title, installments, adopt: null, origin };
+        }
+
+        const title = name || origin.title;
+        const adopted = { ...origin, series_slug: slugify(title), series_title: title, series_part: 1 };
+        return { slug: adopted.series_slug, title, installments: [adopted], adopt: adopted, origin };
+    }
+
+    const slug = slugify(name);
+    if (!slug) throw new Error(`Series name '${name}' has no usable characters`);
+
+    const installments = await fetchSeries(supabase, slug);
+    return { slug, title: installments[0]?.series_title || name, installments, adopt: null, origin: null };
+}
+
+export function nextPart(series) {
+    return Math.max(0, ...series.installments.map(post => post.series_part || 0)) + 1;
+}
+
+export function lastInstallment(series) {
+    return series.installments[series.installments.length - 1] || null;
+}
+
+/**
+ * The series fields stored on the new post.
+ */
+export function seriesFields(series) {
+    return {
+        series_slug: series.slug,
+        series_title: series.title,
+        series_part: nextPart(series),
+        series_previous: lastInstallment(series)?.slug || null
+    };
+}
+
+/**
+ * Turns a standalone post into part 1 of the series it is being continued in.
+ */
+export async function adoptAsFirstPart(supabase, post) {
+    const { error } = await supabase
+        .from('posts')
+        .update({ series_slug: post.series_slug, series_title: post.series_title, series_part: 1 })
+        .eq('slug', post.slug);
+
+    if (error) throw new Error(`Series adoption failed: ${error.message || error}`);
+}
+
+/**
+ * The installments so far as prompt context: the latest ones in full, the older ones as title + summary.
+ */
+export function buildSeriesMemory(series) {
+    const { installments } = series;
+    if (installments.length === 0) return 'No previous installments. This is PART 1: open the case.';
+
+    const cutoff = installments.length - FULL_TEXT_INSTALLMENTS;
+    return installments.map((post, index) => index < cutoff
+        ? `PART ${post.series_part}: ${post.title}\nSUMMARY: ${post.summary}`
+        : `PART ${post.series_part}: ${post.title}\nFULL_TEXT:\n${post.content}`
+    ).join('\n\n---\n\n');
+}
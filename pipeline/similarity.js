@@ -0,0 +1,99 @@
+// pipeline/similarity.js
+// Local TF-IDF similarity used to catch duplicate stories before injection. No network, no embeddings.
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.4;
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below
+between both but by can could did do does doing down during each few for from further had has have having
+he her here hers him his how i if in into is it its itself just like more most my no nor not now of off on
+once only or other our ours out over own same she should so some such than that the their theirs them then
+there these they this those through to too under until up very was we were what when where which while who
+whom why will with would you your yours 2026
+`.trim().split(/\s+/));
+
+// Title and summary carry the "what is this story about" signal, so they count more than body text
+const FIELD_WEIGHTS = { title: 3, summary: 2, content: 1 };
+
+export function tokenize(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/[#*_~`>]/g, ' ')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(w => w.length > 2 && !STOPWORDS.has(w));
+
+    // Unigrams plus bigrams, so "black flag" is distinct from "black" + "flag"
+    const tokens = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+        tokens.push(`${words[i]} ${words[i + 1]}`);
+    }
+    return tokens;
+}
+
+function termFrequencies(doc) {
+    const tf = new Map();
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        for (const token of tokenize(doc[field])) {
+            tf.set(token, (tf.get(token) || 0) + weight);
+        }
+    }
+    return tf;
+}
+
+function toVector(tf, idf) {
+    const vector = new Map();
+    let norm = 0;
+    for (const [token, count] of tf) {
+        const weight = (1 + Math.log(count)) * (idf.get(token) || 0);
+        vector.set(token, weight);
+        norm += weight * weight;
+    }
+    return { vector, norm: Math.sqrt(norm) };
+}
+
+function cosine(a, b) {
+    if (a.norm === 0 || b.norm === 0) return 0;
+    const [small, large] = a.vector.size < b.vector.size ? [a.vector, b.vector] : [b.vector, a.vector];
+    let dot = 0;
+    for (const [token, weight] of small) {
+        const other = large.get(token);
+        if (other) dot += weight * other;
+    }
+    return dot / (a.norm * b.norm);
+}
+
+/**
+ * Scores `candidate` ({ title, summary, content }) against every post in `archive`.
+ * Returns the closest matches (cosine similarity, 0..1), highest score first.
+ */
+export function findSimilar(candidate, archive, { limit = 3 } = {}) {
+    if (!archive || archive.length === 0) return [];
+
+    const docs = archive.map(termFrequencies);
+    const candidateTf = termFrequencies(candidate);
+
+    // Smoothed IDF over the archive plus the candidate itself
+    const df = new Map();
+    for (const tf of [...docs, candidateTf]) {
+        for (const token of tf.keys()) df.set(token, (df.get(token) || 0) + 1);
+    }
+    const total = docs.length + 1;
+    const idf = new Map();
+    for (const [token, count] of df) {
+        idf.set(token, Math.log((total + 1) / (count + 1)) + 1);
+    }
+
+    const candidateVector = toVector(candidateTf, idf);
+    return archive
+        .map((post, i) => ({
+            slug: post.slug,
+            title: post.title,
+            ai_writer: post.ai_writer,
+            score: cosine(candidateVector, toVector(docs[i], idf))
+        }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
@@ -0,0 +1,224 @@
+// pipeline/sources.js
+// Real-world grounding for newsroom.js: source items from a local RSS/Atom/JSON feed, a URL list or the `sources` table.
+import fs from 'fs';
+
+// SENTINEL's verdict per claim. 'corrected': the draft contradicted the source and SENTINEL fixed the text.
+export const CITATION_STATUS = ['supported', 'unsupported', 'corrected'];
+
+// Enough text to ground an article without crowding out the persona prompt
+const SOURCE_TEXT_MAX_LENGTH = 6000;
+const FETCH_TIMEOUT_MS = 15000;
+// Failed runs (dead link, duplicate story, SENTINEL never satisfied...) before a `sources` row stops blocking the queue
+export const MAX_SOURCE_ATTEMPTS = 3;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+        }
+        return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+function htmlToText(html) {
+    return decodeEntities(String(html || '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/<(script|style|nav|footer|header)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+// First <tag>...</tag> inside an RSS item / Atom entry: CDATA unwrapped, escaped markup decoded
+function xmlField(block, tag) {
+    const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    if (!match) return null;
+    const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return (cdata ? cdata[1] : decodeEntities(match[1])).trim();
+}
+
+function atomLink(block) {
+    const links = [...block.matchAll(/<link\b([^>]*)\/?>/gi)].map(m => m[1]);
+    const preferred = links.find(attrs => /rel=["']alternate["']/i.test(attrs)) || links.find(attrs => !/rel=/i.test(attrs)) || links[0];
+    return preferred?.match(/href=["']([^"']+)["']/i)?.[1] || null;
+}
+
+/**
+ * Only http(s) links are citable: a feed item's `javascript:` or `data:` link would end up as a clickable source_url.
+ */
+export function isHttpUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+function normalizeItem({ url, title, text, published }) {
+    const date = published ? new Date(published) : null;
+    const link = typeof url === 'string' ? decodeEntities(url.trim()) : null;
+    return {
+        url: link && isHttpUrl(link) ? link : null,
+        title: title ? htmlToText(title) : null,
+        text: text ? htmlToText(text) : null,
+        published_at: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null
+    };
+}
+
+/**
+ * Parses a source file into items: JSON Feed (or a plain JSON array), RSS 2.0, Atom, or one URL per line.
+ * URL-list items have no text yet; fetchSourceText() fills it in.
+ */
+export function parseSources(raw) {
+    const body = raw.trim();
+
+    if (body.startsWith('{') || body.startsWith('[')) {
+        const data = JSON.parse(body);
+        const items = Array.isArray(data) ? data : data.items || [];
+        return items.map(item => normalizeItem({
+            url: item.url || item.external_url || item.link,
+            title: item.title,
+            text: item.content_text || item.content_html || item.content || item.summary || item.description,
+            published: item.date_published || item.published_at || item.date
+        }));
+    }
+
+    if (/<rss[\s>]|<rdf:RDF/i.test(body)) {
+        return [...body.matchAll(/<item[\s>][\s\S]*?<\/item>/gi)].map(([block]) => normalizeItem({
+            url: xmlField(block, 'link') || xmlField(block, 'guid'),
+            title: xmlField(block, 'title'),
+            text: xmlField(block, 'content:encoded') || xmlField(block, 'description'),
+            published: xmlField(block, 'pubDate') || xmlField(block, 'dc:date')
+        }));
+    }
+
+    if (/<feed[\s>]/i.test(body)) {
+        return [...body.matchAll(/<entry[\s>][\s\S]*?<\/entry>/gi)].map(([block]) => normalizeItem({
+            url: atomLink(block),
+            title: xmlField(block, 'title'),
+            text: xmlField(block, 'content') || xmlField(block, 'summary'),
+            published: xmlField(block, 'published') || xmlField(block, 'updated')
+        }));
+    }
+
+    return body.split('\n')
+        .map(line => line.trim())
+        .filter(line => /^https?:\/\//i.test(line))
+        .map(url => normalizeItem({ url }));
+}
+
+export function readSourceFile(file) {
+    return parseSources(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Unused, unskipped rows of the `sources` table, newest first. Needs the Service Role Key like the suggestions queue.
+ */
+export async function fetchSourceQueue(supabase) {
+    const { data, error } = await supabase
+        .from('sources')
+        .select('id, url, title, content, published_at, attempts')
+        .is('used_at', null)
+        .is('skipped_at', null)
+        .order('published_at', { ascending: false, nullsFirst: false })
+        .limit(20);
+
+    if (error) throw new Error(`Source lookup failed: ${error.message || error}`);
+
+    return (data || []).map(row => ({ id: row.id, attempts: row.attempts || 0, ...normalizeItem({ url: row.url, title: row.title, text: row.content, published: row.published_at }) }));
+}
+
+/**
+ * Every source_url already cited by a post, so the same story isn't grounded twice.
+ */
+export async function fetchCitedUrls(supabase) {
+    const { data, error } = await supabase
+        .from('posts')
+        .select('source_url')
+        .not('source_url', 'is', null);
+
+    if (error) throw new Error(`Cited source lookup failed: ${error.message || error}`);
+    return new Set((data || []).map(row => row.source_url));
+}
+
+/**
+ * Items with an http(s) URL nobody has cited yet, newest first (undated items after them, in feed order).
+ */
+export function rankSources(items, citedUrls = new Set()) {
+    const candidates = items.filter(item => item.url && isHttpUrl(item.url) && !citedUrls.has(item.url));
+    const dated = candidates.filter(item => item.published_at).sort((a, b) => b.published_at.localeCompare(a.published_at));
+    return [...dated, ...candidates.filter(item => !item.published_at)];
+}
+
+export function pickSource(items, citedUrls = new Set()) {
+    return rankSources(items, citedUrls)[0] || null;
+}
+
+/**
+ * URL-list items only carry a link: fetch the page and keep its title and readable text.
+ */
+export async function fetchSourceText(item, { timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+    if (item.text) return item;
+
+    const response = await fetch(item.url, { signal: AbortSignal.timeout(timeoutMs), headers: { 'user-agent': 'thefeedbackloop-newsroom' } })
+        .catch(err => { throw new Error(`Source fetch failed: ${item.url} (${err.message})`); });
+    if (!response.ok) throw new Error(`Source fetch failed: ${item.url} answered ${response.status}`);
+
+    const html = await response.text();
+    const body = html.match(/<(article|main)[\s>][\s\S]*?<\/\1>/i)?.[0] || html.match(/<body[\s>][\s\S]*<\/body>/i)?.[0] || html;
+    return {
+        ...item,
+        title: item.title || htmlToText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '') || null,
+        text: htmlToText(body)
+    };
+}
+
+export async function markSourceUsed(supabase, sourceId, post) {
+    const { error } = await supabase
+        .from('sources')
+        .update({ used_at: new Date().toISOString(), post_slug: post.slug })
+        .eq('id', sourceId);
+
+    if (error) throw new Error(`Source update failed: ${error.message || error}`);
+}
+
+/**
+ * Counts a run that took a `sources` row and died without a post. After MAX_SOURCE_ATTEMPTS it gets `skipped_at`,
+ * so the next run moves on to the rest of the queue. Returns { attempts, skipped }.
+ */
+export async function recordSourceFailure(supabase, source, reason) {
+    const attempts = (source.attempts || 0) + 1;
+    const skipped = attempts >= MAX_SOURCE_ATTEMPTS;
+    const { error } = await supabase
+        .from('sources')
+        .update({
+            attempts,
+            last_error: String(reason || '').slice(0, 500) || null,
+            skipped_at: skipped ? new Date().toISOString() : null
+        })
+        .eq('id', source.id);
+
+    if (error) throw new Error(`Source update failed: ${error.message || error}`);
+    return { attempts, skipped };
+}
+
+/**
+ * The SOURCE_MATERIAL block shared by the writer and SENTINEL prompts.
+ */
+export function buildSourceBrief(item) {
+    const text = item.text.length > SOURCE_TEXT_MAX_LENGTH
+        ? `${item.text.slice(0, SOURCE_TEXT_MAX_LENGTH)}\n[...SOURCE TRUNCATED]`
+        : item.text;
+
+    return `SOURCE_MATERIAL:
+    URL: ${item.url}
+    TITLE: ${item.title || 'Untitled'}${item.published_at ? `
+    PUBLISHED: ${item.published_at.slice(0, 10)}` : ''}
+    TEXT:
+    ${text}`;
+}
@@ -0,0 +1,115 @@
+// pipeline/suggestions.js
+// Reader suggestions (Konami-code form) as newsroom assignments: pick the next unused one, route it to a persona, link the post back.
+import { PERSONAS } from './personas.js';
+import { tokenize } from './similarity.js';
+
+// Bare band names match no beat, and breaking news is the broadest desk
+export const FALLBACK_CATEGORY = 'news';
+const MAX_TOPIC_LENGTH = 200;
+// Failed runs (rejected as a duplicate, SENTINEL never satisfied...) before a suggestion stops blocking the queue
+export const MAX_SUGGESTION_ATTEMPTS = 3;
+const SUGGESTION_PAGE_SIZE = 10;
+
+/**
+ * Oldest suggestion that has not produced a post yet and was not skipped, or null when the queue is empty.
+ * Blank suggestions on the way get `skipped_at` so no later run reads them again; with `markBlank: false`
+ * (dry runs) they are only paged past. Reading the table needs the Service Role Key (the public can only insert).
+ */
+export async function fetchNextSuggestion(supabase, { markBlank = true } = {}) {
+    let offset = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('suggestions')
+            .select('id, created_at, suggestion, attempts')
+            .is('used_at', null)
+            .is('skipped_at', null)
+            .order('created_at', { ascending: true })
+            .range(offset, offset + SUGGESTION_PAGE_SIZE - 1);
+
+        if (error) throw new Error(`Suggestion lookup failed: ${error.message || error}`);
+
+        const rows = data || [];
+        const nextIndex = rows.findIndex(row => row.suggestion && row.suggestion.trim());
+        const blank = nextIndex === -1 ? rows : rows.slice(0, nextIndex);
+
+        if (markBlank && blank.length > 0) await markSuggestionsBlank(supabase, blank);
+        else offset += blank.length;
+
+        if (nextIndex !== -1) {
+            const next = rows[nextIndex];
+            return { ...next, suggestion: next.suggestion.trim().replace(/\s+/g, ' ').slice(0, MAX_TOPIC_LENGTH) };
+        }
+        if (rows.length < SUGGESTION_PAGE_SIZE) return null;
+    }
+}
+
+async function markSuggestionsBlank(supabase, rows) {
+    const { error } = await supabase
+        .from('suggestions')
+        .update({ skipped_at: new Date().toISOString(), last_error: 'Blank suggestion' })
+        .in('id', rows.map(row => row.id));
+
+    if (error) throw new Error(`Suggestion update failed: ${error.message || error}`);
+}
+
+/**
+ * Scores every persona by how many of its `beats` (src/data/personas.json) appear in the suggestion.
+ * Ties go to registry order; no hits at all go to the FALLBACK_CATEGORY desk.
+ * `exclude` takes persona names out of the running (e.g. the author of the post being answered).
+ */
+export function matchPersona(suggestion, { exclude = [] } = {}) {
+    const tokens = new Set(tokenize(suggestion));
+    const candidates = Object.values(PERSONAS).filter(persona => !exclude.includes(persona.fullName));
+    let best = null;
+    let bestScore = 0;
+
+    for (const persona of candidates) {
+        const score = (persona.beats || []).filter(beat => tokens.has(beat.toLowerCase())).length;
+        if (score > bestScore) {
+            best = persona;
+            bestScore = score;
+        }
+    }
+
+    return {
+        persona: best || candidates.find(p => p.category === FALLBACK_CATEGORY) || candidates[0],
+        score: bestScore
+    };
+}
+
+/**
+ * Marks a suggestion as used by the post that was written from it, so it is never assigned twice.
+ */
+export async function markSuggestionUsed(supabase, suggestionId, post) {
+    const { error } = await supabase
+        .from('suggestions')
+        .update({
+            used_at: new Date().toISOString(),
+            post_slug: post.slug,
+            assigned_writer: post.ai_writer
+        })
+        .eq('id', suggestionId);
+
+    if (error) throw new Error(`Suggestion update failed: ${error.message || error}`);
+}
+
+/**
+ * Counts a run that took the suggestion and died without a post. After MAX_SUGGESTION_ATTEMPTS it gets `skipped_at`,
+ * so the next run moves on to the rest of the queue. Returns { attempts, skipped }.
+ */
+export async function recordSuggestionFailure(supabase, suggestion, reason) {
+    const attempts = (suggestion.attempts || 0) + 1;
+    const skipped = attempts >= MAX_SUGGESTION_ATTEMPTS;
+    const { error } = await supabase
+        .from('suggestions')
+        .update({
+            attempts,
+            last_error: String(reason || '').slice(0, 500) || null,
+            skipped_at: skipped ? new Date().toISOString() : null
+        })
+        .eq('id', suggestion.id);
+
+    if (error) throw new Error(`Suggestion update failed: ${error.message || error}`);
+    return { attempts, skipped };
+}
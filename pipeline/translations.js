@@ -0,0 +1,131 @@
+// pipeline/translations.js
+// Translated versions of published posts (newsroom.js --translate / --lang), stored in `post_translations`.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractJson, truncate, SUMMARY_MAX_LENGTH } from './sentinel.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REGISTRY_FILE = path.join(__dirname, '..', 'src', 'data', 'languages.json');
+
+// Shared with the Astro site (src/lib/i18n.ts); the default language is the one posts are written in
+export const LANGUAGES = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+export const TRANSLATION_LANGUAGES = Object.values(LANGUAGES).filter(language => !language.default).map(language => language.code);
+
+/**
+ * `--lang es,ja` -> ['es', 'ja']. No value means every translation language.
+ */
+export function parseLanguages(arg) {
+    if (!arg || arg === true) return [...TRANSLATION_LANGUAGES];
+
+    const codes = [...new Set(String(arg).split(',').map(code => code.trim().toLowerCase()).filter(Boolean))];
+    const unknown = codes.filter(code => !TRANSLATION_LANGUAGES.includes(code));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown language(s) ${unknown.join(', ')}. VALID OPTIONS: ${TRANSLATION_LANGUAGES.join(', ')}`);
+    }
+    return codes;
+}
+
+/**
+ * The post to translate. Only published posts: a draft can still change in review (review.js).
+ */
+export async function fetchTranslatable(supabase, slug) {
+    const { data, error } = await supabase
+        .from('posts')
+        .select('slug, title, summary, content, seo_keywords, ai_writer, category, status')
+        .eq('slug', slug)
+        .maybeSingle();
+
+    if (error) throw new Error(`Post lookup failed: ${error.message || error}`);
+    if (!data) throw new Error(`No post with slug '${slug}'`);
+    if (data.status !== 'published') throw new Error(`/posts/${slug} is ${data.status}, only published posts are translated`);
+    return data;
+}
+
+/**
+ * Languages the post already has a translation in.
+ */
+export async function fetchTranslatedLanguages(supabase, slug) {
+    const { data, error } = await supabase
+        .from('post_translations')
+        .select('lang')
+        .eq('post_slug', slug);
+
+    if (error) throw new Error(`Translation lookup failed: ${error.message || error}`);
+    return new Set((data || []).map(row => row.lang));
+}
+
+/**
+ * The translator prompt: the post's own writer re-voices the article rather than a neutral machine translation.
+ */
+export function buildTranslationPrompt(post, persona, lang) {
+    const language = LANGUAGES[lang];
+
+    return `
+    ${persona.instruction}
+
+    TONE_PROFILE: ${persona.tone}
+
+    TASK: You wrote the article below for "The Feedback Loop". Rewrite it for the ${language.name}-speaking scene.
+    TARGET_LANGUAGE: ${language.name} (${language.locale})
+    GUIDE: ${language.guide}
+    RULES:
+    - Translate everything, keep your own voice: same energy, same emphasis, same sign-off.
+    - Keep the Markdown structure (headers, lists, quotes) exactly as it is.
+    - Band names, venue names, record titles and quotes in their original language stay untouched.
+    - Do not add or drop facts.
+
+    OUTPUT_SCHEMA (STRICT JSON ONLY):
+    {
+      "title": "String",
+      "summary": "String (140 chars max)",
+      "seo_keywords": ["Array"],
+      "content": "Full translated Markdown"
+    }
+
+    ARTICLE:
+    TITLE: ${post.title}
+    SUMMARY: ${post.summary}
+    SEO_KEYWORDS: ${(post.seo_keywords || []).join(', ')}
+    CONTENT:
+    ${post.content}
+    `;
+}
+
+/**
+ * Parses and checks a translator reply. Throws with everything that is wrong so the caller can log it.
+ * The summary is cut to SUMMARY_MAX_LENGTH like SENTINEL's: cards and feeds lay out both the same way.
+ */
+export function parseTranslation(text) {
+    const data = extractJson(text);
+    const missing = ['title', 'summary', 'content'].filter(field => typeof data?.[field] !== 'string' || data[field].trim() === '');
+    if (missing.length > 0) throw new Error(`Translation is missing ${missing.join(', ')}`);
+
+    return {
+        title: data.title.trim(),
+        summary: truncate(data.summary.trim(), SUMMARY_MAX_LENGTH),
+        content: data.content.trim(),
+        seo_keywords: Array.isArray(data.seo_keywords) ? data.seo_keywords.filter(k => typeof k === 'string' && k.trim()).map(k => k.trim()) : []
+    };
+}
+
+/**
+ * Inserts or replaces the post's translation in `lang`.
+ */
+export async function saveTranslation(supabase, post, lang, translation, { translator, model }) {
+    const row = {
+        post_slug: post.slug,
+        lang,
+        ...translation,
+        translator,
+        model,
+        updated_at: new Date().toISOString()
+    };
+
+    const { error } = await supabase
+        .from('post_translations')
+        .upsert([row], { onConflict: 'post_slug,lang' });
+
+    if (error) throw new Error(`Translation insert failed: ${error.message || error}`);
+    return row;
+}
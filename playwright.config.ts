@@ -0,0 +1,18 @@
+import { defineConfig } from '@playwright/test';
+
+// `npm test` runs everything offline: unit specs import src/lib directly, e2e specs run newsroom.js,
+// visualizer.js and `astro build` against the in-memory Supabase stand-in (tests/support).
+export default defineConfig({
+  testDir: './tests',
+  testMatch: '**/*.spec.ts',
+  // The e2e specs spawn whole pipelines and builds: one at a time
+  workers: 1,
+  fullyParallel: false,
+  forbidOnly: !!process.env.CI,
+  reporter: process.env.CI ? 'line' : 'list',
+  timeout: 60_000,
+  projects: [
+    { name: 'unit', testDir: './tests/unit' },
+    { name: 'e2e', testDir: './tests/e2e', timeout: 300_000 },
+  ],
+});
@@ -0,0 +1,176 @@
+// review.js
+// Editorial review queue: list drafts, diff SENTINEL's edits, approve / reject / reschedule.
+import 'dotenv/config';
+import { createClient } from '@supabase/supabase-js';
+import minimist from 'minimist';
+import { diffLines, formatDiff } from './pipeline/diff.js';
+import { getPublishDate, parsePublishDate } from './pipeline/schedule.js';
+
+// Drafts are hidden by RLS, so this script needs the Service Role Key
+const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.PUBLIC_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+    console.error(`> FATAL ERROR: Missing environment variables: (PUBLIC_)SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY`);
+    process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const USAGE = `
+USAGE: node review.js <command> [options]
+
+  list [--status draft|rejected|published]   List the review queue (default: draft)
+  show <slug>                                 Show SENTINEL's edits against the raw writer draft
+  approve <slug> [--at YYYY-MM-DD | --in N]   Publish a draft (keeps its scheduled date unless overridden)
+  reject <slug> [--reason "..."]              Reject a draft
+                                              approve/reject only touch drafts; --force for any other status
+  reschedule <slug> --at YYYY-MM-DD | --in N  Move a post's publish date
+`;
+
+async function fetchPost(slug) {
+    const { data, error } = await supabase
+        .from('posts')
+        .select('*')
+        .eq('slug', slug)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message || String(error));
+    if (!data) throw new Error(`No post found with slug '${slug}'`);
+    return data;
+}
+
+async function updatePost(post, changes) {
+    const { error } = await supabase
+        .from('posts')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', post.id);
+
+    if (error) throw new Error(error.message || String(error));
+}
+
+// approve/reject are review decisions on drafts; pulling a live post or reviving a rejected one needs --force
+function assertReviewable(post, command, args) {
+    if (post.status === 'draft' || args.force) return;
+    throw new Error(`'${post.slug}' is ${post.status}, not a draft. Re-run with --force to ${command} it anyway.`);
+}
+
+// --at wins over --in; returns null when neither is given
+function resolveDate(args, category) {
+    if (args.at) return parsePublishDate(String(args.at));
+    if (args.in !== undefined) return getPublishDate(category, { delayDays: args.in });
+    return null;
+}
+
+async function listQueue(args) {
+    const status = args.status || 'draft';
+    const { data, error } = await supabase
+        .from('posts')
+        .select('slug, title, ai_writer, category, created_at, published_at, review_note')
+        .eq('status', status)
+        .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message || String(error));
+
+    if (!data || data.length === 0) {
+        console.log(`> QUEUE EMPTY [STATUS: ${status.toUpperCase()}].`);
+        return;
+    }
+
+    console.log(`> ${data.length} POST(S) [STATUS: ${status.toUpperCase()}]:`);
+    for (const post of data) {
+        console.log(`\n  ${post.slug}`);
+        console.log(`    TITLE:     ${post.title}`);
+        console.log(`    WRITER:    ${post.ai_writer} [${post.category}]`);
+        console.log(`    CREATED:   ${post.created_at}`);
+        console.log(`    SCHEDULED: ${post.published_at}`);
+        if (post.review_note) console.log(`    NOTE:      ${post.review_note}`);
+    }
+}
+
+async function showPost(slug) {
+    const post = await fetchPost(slug);
+
+    console.log(`> ${post.title}`);
+    console.log(`> WRITER: ${post.ai_writer} // EDITOR: ${post.ai_editor} // STATUS: ${post.status}`);
+    console.log(`> SCHEDULED: ${post.published_at}`);
+    console.log(`> SUMMARY: ${post.summary}`);
+    if (post.system_alert) console.log(`\n${post.system_alert}`);
+
+    if (!post.raw_draft) {
+        console.log(`\n> NO RAW DRAFT ON RECORD. SHOWING FINAL CONTENT:\n`);
+        console.log(post.content);
+        return;
+    }
+
+    console.log(`\n> SENTINEL EDITS (- writer draft / + published content):\n`);
+    console.log(formatDiff(diffLines(post.raw_draft, post.content), { color: process.stdout.isTTY }));
+}
+
+async function approvePost(slug, args) {
+    const post = await fetchPost(slug);
+    assertReviewable(post, 'approve', args);
+    const date = resolveDate(args, post.category);
+    const changes = { status: 'published', review_note: args.note || null };
+    if (date) changes.published_at = date.toISOString();
+
+    await updatePost(post, changes);
+    console.log(`> APPROVED: /posts/${post.slug}`);
+    console.log(`> SCHEDULED FOR: ${changes.published_at || post.published_at}`);
+}
+
+async function rejectPost(slug, args) {
+    const post = await fetchPost(slug);
+    assertReviewable(post, 'reject', args);
+    await updatePost(post, { status: 'rejected', review_note: args.reason || null });
+    console.log(`> REJECTED: ${post.slug}${args.reason ? ` [REASON: ${args.reason}]` : ''}`);
+}
+
+async function reschedulePost(slug, args) {
+    const post = await fetchPost(slug);
+    const date = resolveDate(args, post.category);
+    if (!date) throw new Error('reschedule requires --at YYYY-MM-DD or --in <days>');
+
+    await updatePost(post, { published_at: date.toISOString() });
+    console.log(`> RESCHEDULED: ${post.slug} -> ${date.toISOString()}`);
+}
+
+async function runReview() {
+    const args = minimist(process.argv.slice(2), { string: ['at', 'reason', 'note', 'status'], boolean: ['force'] });
+    const [command, slug] = args._;
+
+    const needsSlug = ['show', 'approve', 'reject', 'reschedule'];
+    if (!command || (needsSlug.includes(command) && !slug)) {
+        console.log(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+
+    try {
+        switch (command) {
+            case 'list':
+                await listQueue(args);
+                break;
+            case 'show':
+                await showPost(slug);
+                break;
+            case 'approve':
+                await approvePost(slug, args);
+                break;
+            case 'reject':
+                await rejectPost(slug, args);
+                break;
+            case 'reschedule':
+                await reschedulePost(slug, args);
+                break;
+            default:
+                console.error(`> ERROR: Unknown command '${command}'`);
+                console.log(USAGE);
+                process.exit(1);
+        }
+    } catch (err) {
+        console.error(`> REVIEW FAILURE:`, err.message);
+        process.exit(1);
+    }
+}
+
+runReview();
@@ -0,0 +1,166 @@
+import type { Post } from './supabase';
+import { parseMarkdown, getPostImageUrl } from './utils';
+
+export const FEED_FORMATS = {
+  'rss.xml': 'application/rss+xml; charset=utf-8',
+  'atom.xml': 'application/atom+xml; charset=utf-8',
+  'feed.json': 'application/feed+json; charset=utf-8',
+} as const;
+
+export type FeedFormat = keyof typeof FEED_FORMATS;
+
+export interface FeedChannel {
+  title: string;
+  description: string;
+  /** Absolute URL of the HTML page this feed mirrors */
+  homeUrl: string;
+  /** Absolute URL of this feed file */
+  feedUrl: string;
+}
+
+interface FeedItem {
+  id: string;
+  url: string;
+  title: string;
+  summary: string;
+  html: string;
+  author: string;
+  category: string;
+  keywords: string[];
+  published: string;
+  updated: string;
+  image: string;
+  imageType: string;
+}
+
+const escapeXml = (value: string) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// CDATA cannot contain "]]>", so split it across two sections
+const cdata = (value: string) => `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// The newest edit or publication across every item: the first entry is only the latest to be published
+function latestChange(items: FeedItem[]) {
+  const times = items.flatMap((item) => [Date.parse(item.updated), Date.parse(item.published)]);
+  return new Date(times.length > 0 ? Math.max(...times) : 0);
+}
+
+function guessImageType(url: string) {
+  const ext = url.split('?')[0].split('.').pop()?.toLowerCase();
+  if (ext === 'webp') return 'image/webp';
+  if (ext === 'avif') return 'image/avif';
+  if (ext === 'png') return 'image/png';
+  return 'image/jpeg';
+}
+
+export async function toFeedItems(posts: Post[], site: URL) {
+  return Promise.all(posts.map(async (post): Promise<FeedItem> => {
+    const url = new URL(`${import.meta.env.BASE_URL}/posts/${post.slug}`.replace(/\/+/g, '/'), site).toString();
+    const image = getPostImageUrl(post);
+    const published = new Date(post.published_at || post.created_at).toISOString();
+    return {
+      id: url,
+      url,
+      title: post.title,
+      summary: post.summary || '',
+      html: await parseMarkdown(post.content),
+      author: post.ai_writer,
+      category: post.category,
+      keywords: post.seo_keywords || [],
+      published,
+      updated: post.updated_at ? new Date(post.updated_at).toISOString() : published,
+      image: image.startsWith('http') ? image : new URL(image, site).toString(),
+      imageType: guessImageType(image),
+    };
+  }));
+}
+
+function renderRss(channel: FeedChannel, items: FeedItem[]) {
+  const entries = items.map((item) => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+      <category>${escapeXml(item.category)}</category>
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${cdata(item.html)}</content:encoded>
+      <enclosure url="${escapeXml(item.image)}" type="${item.imageType}" />
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(channel.homeUrl)}</link>
+    <description>${escapeXml(channel.description)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(channel.feedUrl)}" rel="self" type="application/rss+xml" />
+    ${items[0] ? `<lastBuildDate>${latestChange(items).toUTCString()}</lastBuildDate>` : ''}${entries}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(channel: FeedChannel, items: FeedItem[]) {
+  const entries = items.map((item) => `
+  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <link rel="enclosure" type="${item.imageType}" href="${escapeXml(item.image)}" />
+    <published>${item.published}</published>
+    <updated>${item.updated}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+    <category term="${escapeXml(item.category)}" />
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(channel.feedUrl)}</id>
+  <title>${escapeXml(channel.title)}</title>
+  <subtitle>${escapeXml(channel.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(channel.homeUrl)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(channel.feedUrl)}" />
+  <updated>${latestChange(items).toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+function renderJsonFeed(channel: FeedChannel, items: FeedItem[]) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: channel.title,
+    home_page_url: channel.homeUrl,
+    feed_url: channel.feedUrl,
+    description: channel.description,
+    language: 'en',
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.html,
+      image: item.image,
+      date_published: item.published,
+      date_modified: item.updated,
+      authors: [{ name: item.author }],
+      tags: [item.category, ...item.keywords],
+      attachments: [{ url: item.image, mime_type: item.imageType }],
+    })),
+  }, null, 2);
+}
+
+export function renderFeed(format: FeedFormat, channel: FeedChannel, items: FeedItem[]) {
+  if (format === 'rss.xml') return renderRss(channel, items);
+  if (format === 'atom.xml') return renderAtom(channel, items);
+  return renderJsonFeed(channel, items);
+}
@@ -0,0 +1,58 @@
+import languageRegistry from '../data/languages.json';
+import type { Post, PostTranslation } from './supabase';
+
+// Languages a post can be read in. newsroom.js --translate writes the non-default ones to post_translations.
+export interface Language {
+  code: string;
+  name: string;
+  nativeName: string;
+  locale: string;
+  default?: boolean;
+  /** Style notes for the translator prompt (pipeline/translations.js) */
+  guide?: string;
+}
+
+export const LANGUAGES = languageRegistry as Record<string, Language>;
+export const DEFAULT_LANGUAGE = Object.values(LANGUAGES).find((language) => language.default)!;
+
+export function getLanguage(code?: string | null): Language {
+  return (code && LANGUAGES[code]) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * /posts/<slug> for the default language, /<lang>/posts/<slug> for translations.
+ */
+export function getLocalizedPostUrl(slug: string, lang?: string | null) {
+  const prefix = lang && lang !== DEFAULT_LANGUAGE.code ? `/${lang}` : '';
+  return `${import.meta.env.BASE_URL}${prefix}/posts/${slug}`.replace(/\/+/g, '/');
+}
+
+/**
+ * A link from a page in `lang` to another post: its translation when `translated` (slugs translated into `lang`) has one,
+ * the original otherwise, so a translated page never links to a /<lang>/ route that wasn't built.
+ */
+export function getPostLinkUrl(slug: string, lang: string, translated: Set<string>) {
+  return getLocalizedPostUrl(slug, translated.has(slug) ? lang : null);
+}
+
+/**
+ * The post as read in `translation`'s language: translated text, everything else (image, writer, links) from the original.
+ */
+export function localizePost(post: Post, translation?: PostTranslation | null): Post {
+  if (!translation) return post;
+  return {
+    ...post,
+    title: translation.title,
+    summary: translation.summary ?? post.summary,
+    content: translation.content ?? post.content,
+    seo_keywords: translation.seo_keywords ?? post.seo_keywords,
+  };
+}
+
+/**
+ * Every version of a post (original first) for hreflang links and the language switcher.
+ */
+export function getPostAlternates(slug: string, translations: Pick<PostTranslation, 'lang'>[]) {
+  const codes = [DEFAULT_LANGUAGE.code, ...translations.map((t) => t.lang).filter((code) => code in LANGUAGES && code !== DEFAULT_LANGUAGE.code)];
+  return codes.map((code) => ({ lang: code, language: LANGUAGES[code], href: getLocalizedPostUrl(slug, code) }));
+}
@@ -0,0 +1,55 @@
+import personaRegistry from '../data/personas.json';
+
+// Single source of truth for the writers: newsroom.js prompts, visualizer.js styles and the staff pages.
+export interface Persona {
+  id: string;
+  fullName: string;
+  alias: string;
+  provider: string;
+  model: string;
+  category: string;
+  tone: string;
+  instruction: string;
+  timestampLabel: string;
+  /** Keywords that route reader suggestions to this persona (pipeline/suggestions.js) */
+  beats: string[];
+  visual: {
+    model: string;
+    modifier: string;
+  };
+  staff: {
+    role: string;
+    specialty: string;
+    status: string;
+    clearance: string;
+    summary: string;
+    bio: string;
+    whois: string;
+    dna: string;
+    gear: string;
+    health: number;
+    healthLabel: string;
+    healthColor: string;
+    ascii: string;
+    image: string;
+    imageMetadata: string;
+    style: string;
+    textStyle: string;
+    theme: string;
+  };
+}
+
+export const personas = personaRegistry as Record<string, Persona>;
+export const personaList = Object.values(personas);
+
+export function getPersona(writer: string | undefined) {
+  return writer ? personas[writer.toUpperCase()] : undefined;
+}
+
+export function getPersonaById(id: string | undefined) {
+  return personaList.find((persona) => persona.id === id);
+}
+
+export function getTimestampLabel(writer: string | undefined) {
+  return getPersona(writer)?.timestampLabel || '';
+}
@@ -0,0 +1,127 @@
+// Documents shipped in /search-index.json (built from getPosts() at build time)
+export interface SearchDocument {
+  slug: string;
+  title: string;
+  summary: string;
+  content: string;
+  writer: string;
+  category: string;
+  keywords: string[];
+  date: string;
+}
+
+export interface SearchResult {
+  doc: SearchDocument;
+  score: number;
+}
+
+export interface ParsedQuery {
+  terms: string[];
+  filters: { writer?: string; category?: string };
+}
+
+const FIELD_WEIGHTS = {
+  title: 5,
+  keywords: 3,
+  summary: 2,
+  writer: 1,
+  category: 1,
+  content: 1,
+} as const;
+
+type Field = keyof typeof FIELD_WEIGHTS;
+
+// Prefix hits ("feedb" -> "feedback") rank below whole-word hits
+const PREFIX_PENALTY = 0.5;
+
+export function tokenize(text: string) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Splits a raw query into free-text terms and `writer:` / `category:` filters.
+ */
+export function parseQuery(query: string): ParsedQuery {
+  const filters: ParsedQuery['filters'] = {};
+  const terms: string[] = [];
+
+  for (const part of query.trim().split(/\s+/)) {
+    const match = part.match(/^(writer|category):(.+)$/i);
+    if (match) {
+      filters[match[1].toLowerCase() as 'writer' | 'category'] = match[2].toLowerCase();
+    } else if (part) {
+      terms.push(...tokenize(part));
+    }
+  }
+
+  return { terms, filters };
+}
+
+function fieldText(doc: SearchDocument, field: Field) {
+  return field === 'keywords' ? doc.keywords.join(' ') : doc[field] || '';
+}
+
+/**
+ * Builds per-document token frequency maps once, so each keystroke only scores.
+ */
+export function buildIndex(docs: SearchDocument[]) {
+  return docs.map((doc) => {
+    const fields = {} as Record<Field, Map<string, number>>;
+    for (const field of Object.keys(FIELD_WEIGHTS) as Field[]) {
+      const counts = new Map<string, number>();
+      for (const token of tokenize(fieldText(doc, field))) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      }
+      fields[field] = counts;
+    }
+    return { doc, fields };
+  });
+}
+
+export type SearchIndex = ReturnType<typeof buildIndex>;
+
+function matchesFilter(value: string, filter: string | undefined) {
+  return !filter || value.toLowerCase().includes(filter);
+}
+
+/**
+ * Ranks documents: every term must match (whole word or prefix) in at least one field.
+ */
+export function search(index: SearchIndex, query: string, limit = 8): SearchResult[] {
+  const { terms, filters } = parseQuery(query);
+  if (terms.length === 0 && !filters.writer && !filters.category) return [];
+
+  const results: SearchResult[] = [];
+
+  for (const { doc, fields } of index) {
+    if (!matchesFilter(doc.writer, filters.writer) || !matchesFilter(doc.category, filters.category)) continue;
+
+    let score = 0;
+    let matchedAll = true;
+
+    for (const term of terms) {
+      let termScore = 0;
+      for (const field of Object.keys(FIELD_WEIGHTS) as Field[]) {
+        for (const [token, count] of fields[field]) {
+          if (token === term) {
+            termScore += FIELD_WEIGHTS[field] * (1 + Math.log(count));
+          } else if (token.startsWith(term)) {
+            termScore += FIELD_WEIGHTS[field] * PREFIX_PENALTY;
+          }
+        }
+      }
+      if (termScore === 0) {
+        matchedAll = false;
+        break;
+      }
+      score += termScore;
+    }
+
+    if (matchedAll) results.push({ doc, score });
+  }
+
+  // Filter-only queries fall back to newest first
+  return results
+    .sort((a, b) => b.score - a.score || b.doc.date.localeCompare(a.doc.date))
+    .slice(0, limit);
+}
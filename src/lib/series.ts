@@ -0,0 +1,57 @@
+import type { Post } from './supabase';
+
+// Multi-part investigations written by newsroom.js --series / --continue
+export interface Series {
+  slug: string;
+  title: string;
+  writer: string;
+  /** Published installments in part order */
+  parts: Post[];
+  /** Highest live part number: with a part still scheduled this is more than parts.length */
+  latestPart: number;
+}
+
+/**
+ * Groups the published posts into series. Scheduled and draft parts are not in `posts`,
+ * so a series can have gaps in its part numbers until they go live.
+ */
+export function groupSeries(posts: Post[]): Series[] {
+  const bySlug = new Map<string, Post[]>();
+  for (const post of posts) {
+    if (!post.series_slug) continue;
+    if (!bySlug.has(post.series_slug)) bySlug.set(post.series_slug, []);
+    bySlug.get(post.series_slug)!.push(post);
+  }
+
+  return [...bySlug.entries()]
+    .map(([slug, parts]) => {
+      parts.sort((a, b) => (a.series_part ?? 0) - (b.series_part ?? 0));
+      const latest = parts[parts.length - 1];
+      return {
+        slug,
+        title: latest.series_title || parts[0].title,
+        writer: latest.ai_writer,
+        parts,
+        latestPart: Math.max(parts.length, ...parts.map((part) => part.series_part ?? 0)),
+      };
+    })
+    // Most recently continued investigation first
+    .sort((a, b) => lastPublished(b) - lastPublished(a));
+}
+
+function lastPublished(series: Series) {
+  return Math.max(...series.parts.map((post) => new Date(post.published_at || post.created_at).getTime()));
+}
+
+/**
+ * Previous and next published parts around `post` within its series.
+ */
+export function getSeriesNeighbours(series: Series, post: Post) {
+  const index = series.parts.findIndex((part) => part.slug === post.slug);
+  return {
+    previous: index > 0 ? series.parts[index - 1] : null,
+    next: index >= 0 && index < series.parts.length - 1 ? series.parts[index + 1] : null,
+  };
+}
+
+export const getSeriesUrl = (slug: string) => `${import.meta.env.BASE_URL}/series/${slug}`.replace(/\/+/g, '/');
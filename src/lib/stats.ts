@@ -0,0 +1,154 @@
+import type { Post } from './supabase';
+import { stripMarkdown, parseSystemAlert } from './utils';
+
+// Aggregates behind /stats, computed from getPosts() at build time
+
+export interface WriterStats {
+  name: string;
+  posts: number;
+  avgIntegrity: number | null;
+  minIntegrity: number | null;
+  maxIntegrity: number | null;
+  avgWords: number;
+}
+
+export interface TimelineRow {
+  name: string;
+  /** Posts per month, aligned with SiteStats.months */
+  counts: number[];
+}
+
+export interface SiteStats {
+  totalPosts: number;
+  scoredPosts: number;
+  avgIntegrity: number | null;
+  avgWords: number;
+  /** YYYY-MM, oldest first */
+  months: string[];
+  personaTimeline: TimelineRow[];
+  categoryTimeline: TimelineRow[];
+  byPersona: WriterStats[];
+  byCategory: WriterStats[];
+  integrityBuckets: { label: string; count: number }[];
+  keywords: { keyword: string; count: number }[];
+}
+
+const TIMELINE_MONTHS = 12;
+const TOP_KEYWORDS = 15;
+const INTEGRITY_BUCKETS = [
+  { label: '00-49', min: 0, max: 50 },
+  { label: '50-59', min: 50, max: 60 },
+  { label: '60-69', min: 60, max: 70 },
+  { label: '70-79', min: 70, max: 80 },
+  { label: '80-89', min: 80, max: 90 },
+  { label: '90-100', min: 90, max: Infinity },
+];
+
+/**
+ * The stored integrity_score, or the value parsed from system_alert for posts written before the column existed.
+ */
+export function getIntegrityScore(post: Post): number | null {
+  if (post.integrity_score !== null && post.integrity_score !== undefined) return Number(post.integrity_score);
+  return parseSystemAlert(post.system_alert).integrity ?? null;
+}
+
+export const countWords = (markdown: string | undefined) => stripMarkdown(markdown || '').split(/\s+/).filter(Boolean).length;
+
+const average = (values: number[]) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const monthOf = (post: Post) => (post.published_at || post.created_at).slice(0, 7);
+
+function summarize(name: string, posts: Post[]): WriterStats {
+  const scores = posts.map(getIntegrityScore).filter((score): score is number => score !== null);
+  return {
+    name,
+    posts: posts.length,
+    avgIntegrity: average(scores),
+    minIntegrity: scores.length > 0 ? Math.min(...scores) : null,
+    maxIntegrity: scores.length > 0 ? Math.max(...scores) : null,
+    avgWords: Math.round(average(posts.map((post) => countWords(post.content))) ?? 0),
+  };
+}
+
+function groupBy(posts: Post[], key: (post: Post) => string) {
+  const groups = new Map<string, Post[]>();
+  for (const post of posts) {
+    const value = key(post);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value)!.push(post);
+  }
+  return groups;
+}
+
+function timeline(groups: Map<string, Post[]>, months: string[]): TimelineRow[] {
+  return [...groups.entries()]
+    .map(([name, posts]) => ({
+      name,
+      counts: months.map((month) => posts.filter((post) => monthOf(post) === month).length),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The last TIMELINE_MONTHS calendar months up to the newest post, gaps included.
+ */
+function monthRange(posts: Post[]) {
+  if (posts.length === 0) return [];
+  const newest = posts.map(monthOf).sort().at(-1)!;
+  const [year, month] = newest.split('-').map(Number);
+  return Array.from({ length: TIMELINE_MONTHS }, (_, i) => {
+    const date = new Date(Date.UTC(year, month - 1 - (TIMELINE_MONTHS - 1 - i), 1));
+    return date.toISOString().slice(0, 7);
+  });
+}
+
+export function buildStats(posts: Post[]): SiteStats {
+  const months = monthRange(posts);
+  const byWriter = groupBy(posts, (post) => post.ai_writer);
+  const byCategory = groupBy(posts, (post) => post.category);
+  const scores = posts.map(getIntegrityScore).filter((score): score is number => score !== null);
+
+  const keywordCounts = new Map<string, number>();
+  for (const post of posts) {
+    // Count a keyword once per post, however SENTINEL capitalized it
+    for (const keyword of new Set((post.seo_keywords || []).map((k) => k.trim().toLowerCase()).filter(Boolean))) {
+      keywordCounts.set(keyword, (keywordCounts.get(keyword) || 0) + 1);
+    }
+  }
+
+  return {
+    totalPosts: posts.length,
+    scoredPosts: scores.length,
+    avgIntegrity: average(scores),
+    avgWords: Math.round(average(posts.map((post) => countWords(post.content))) ?? 0),
+    months,
+    personaTimeline: timeline(byWriter, months),
+    categoryTimeline: timeline(byCategory, months),
+    byPersona: [...byWriter.entries()].map(([name, group]) => summarize(name, group)).sort((a, b) => b.posts - a.posts),
+    byCategory: [...byCategory.entries()].map(([name, group]) => summarize(name, group)).sort((a, b) => b.posts - a.posts),
+    integrityBuckets: INTEGRITY_BUCKETS.map(({ label, min, max }) => ({
+      label,
+      count: scores.filter((score) => score >= min && score < max).length,
+    })),
+    keywords: [...keywordCounts.entries()]
+      .map(([keyword, count]) => ({ keyword, count }))
+      .sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword))
+      .slice(0, TOP_KEYWORDS),
+  };
+}
+
+/**
+ * Fixed-width block bar for the terminal charts: ████████░░░░
+ */
+export function asciiBar(value: number, max: number, width = 24) {
+  const filled = max > 0 ? Math.round((value / max) * width) : 0;
+  return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+/**
+ * One shade per cell for the month-by-month heatmap, scaled to the busiest cell.
+ */
+export function heatCell(count: number, max: number) {
+  if (count === 0 || max === 0) return '·';
+  const shades = ['░', '▒', '▓', '█'];
+  return shades[Math.min(shades.length - 1, Math.ceil((count / max) * shades.length) - 1)];
+}
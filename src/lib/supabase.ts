@@ -22,13 +22,70 @@ export interface UplinkMessage {
   created_at?: string;
   agent_id: string;
   data_packet: string;
-  status?: string;
+  status?: 'pending' | 'intercepted' | 'spam' | 'abusive';
+  // Set by moderator.js
+  intercept_text?: string | null;
+  moderation_note?: string | null;
+  moderated_at?: string | null;
+}
+
+// What the anon key may read of an intercepted message (column grants in supabase_setup.sql)
+export type InterceptedSignal = Pick<UplinkMessage, 'id' | 'created_at' | 'agent_id' | 'intercept_text'>;
+
+// Mirrors the insert policy in supabase_setup.sql
+export const UPLINK_LIMITS = {
+  // SQLSTATE raised by uplink_rate_ok() when a packet is over the per-agent or the global limit
+  rateLimitCode: 'PT429',
+  agentIdMaxLength: 40,
+  dataPacketMaxLength: 1000,
+  cooldownMs: 60 * 1000,
+};
+
+const UPLINK_COOLDOWN_KEY = 'uplink_last_sent';
+
+export class UplinkRateLimitError extends Error {
+  retryInMs: number;
+
+  constructor(retryInMs: number) {
+    super('UPLINK_RATE_LIMITED');
+    this.name = 'UplinkRateLimitError';
+    this.retryInMs = retryInMs;
+  }
 }
 
 export interface Suggestion {
   id?: number;
   created_at?: string;
   suggestion: string;
+  // Set by newsroom.js --from-suggestions once the post is injected
+  used_at?: string | null;
+  post_slug?: string | null;
+  assigned_writer?: string | null;
+}
+
+// Responsive renditions written by visualizer.js next to the master PNG in blog-images
+export interface ImageVariant {
+  file: string;
+  width: number;
+  format: 'avif' | 'webp';
+}
+
+// Written by visualizer.js: everything needed to reproduce the asset with --regenerate
+export interface ImageProvenance {
+  file: string;
+  prompt: string;
+  director: string;
+  generator: string;
+  preferred_model: string;
+  model: string;
+  seed: number;
+  attempts: number;
+  width: number;
+  height: number;
+  filter: 'crt' | null;
+  generated_at: string;
+  /** Earlier images of the same post, oldest first; their files are kept in the bucket */
+  history: (Partial<Omit<ImageProvenance, 'history'>> & { file: string; variants: ImageVariant[] })[];
 }
 
 export interface Post {
@@ -42,14 +99,72 @@ export interface Post {
   content: string;
   category: string;
   image_url: string;
+  image_variants?: ImageVariant[] | null;
   source_url?: string;
-  status: 'draft' | 'published';
+  status: 'draft' | 'published' | 'rejected';
+  raw_draft?: string;
+  review_note?: string;
   ai_writer: 'AXEL_WIRE' | 'V3RA_L1GHT' | 'R3-CORD' | 'PATCH' | string;
   ai_editor: string;
   system_alert?: string;
+  // Integrity Scan % from system_alert, stored by newsroom.js (older posts: parse system_alert)
+  integrity_score?: number | null;
   editorial_note?: string;
   seo_keywords?: string[];
   image_metadata?: string;
+  image_provenance?: ImageProvenance | null;
+  // visualizer.js job state
+  image_status?: 'pending' | 'done' | 'failed' | 'abandoned' | null;
+  image_attempts?: number;
+  image_error?: string | null;
+  image_retry_at?: string | null;
+  // newsroom.js --series / --continue
+  series_slug?: string | null;
+  series_title?: string | null;
+  series_part?: number | null;
+  series_previous?: string | null;
+  // newsroom.js --respond-to
+  response_to?: string | null;
+  response_kind?: 'companion' | 'rebuttal' | null;
+  // newsroom.js --source / --source-table (source_url is the grounding story)
+  source_title?: string | null;
+  citations?: Citation[] | null;
+}
+
+// SENTINEL's check of one claim against the source material
+export interface Citation {
+  claim: string;
+  evidence: string;
+  status: 'supported' | 'unsupported' | 'corrected';
+}
+
+// Written by newsroom.js --translate / --lang, one row per post and language
+export interface PostTranslation {
+  id?: number;
+  created_at?: string;
+  updated_at?: string;
+  post_slug: string;
+  lang: string;
+  title: string;
+  summary: string | null;
+  content: string | null;
+  seo_keywords: string[] | null;
+  translator: string | null;
+  model: string | null;
+}
+
+// Written by pipeline/runlog.js at the end of every newsroom.js / visualizer.js run
+// The columns the anon key is granted (supabase_setup.sql); error, steps and details stay server-side
+export interface PipelineRun {
+  id: string;
+  script: 'newsroom' | 'visualizer' | string;
+  persona: string | null;
+  outcome: 'success' | 'partial' | 'failed' | 'rejected' | 'quarantined' | 'dry_run' | 'idle' | string;
+  started_at: string;
+  finished_at: string | null;
+  duration_ms: number | null;
+  token_usage: { calls: number; prompt: number; output: number; total: number } | null;
+  retries: Record<string, number> | null;
 }
 
 export async function getPosts(category?: string | string[]) {
@@ -96,11 +211,67 @@ export async function getPostBySlug(slug: string) {
   return data as Post;
 }
 
+export async function getSeriesPosts(seriesSlug: string) {
+  const { data, error } = await supabase
+    .from('posts')
+    .select('*')
+    .eq('series_slug', seriesSlug)
+    .filter('published_at', 'lte', new Date().toISOString())
+    .eq('status', 'published')
+    .order('series_part', { ascending: true });
+
+  if (error) {
+    console.error(`Error fetching series ${seriesSlug}:`, error.message, error);
+    return [];
+  }
+
+  return data as Post[];
+}
+
+export async function getResponses(slug: string) {
+  const { data, error } = await supabase
+    .from('posts')
+    .select('*')
+    .eq('response_to', slug)
+    .filter('published_at', 'lte', new Date().toISOString())
+    .eq('status', 'published')
+    .order('published_at', { ascending: true });
+
+  if (error) {
+    console.error(`Error fetching responses to ${slug}:`, error.message, error);
+    return [];
+  }
+
+  return data as Post[];
+}
+
+/**
+ * Translations of one post, or of every post when no slug is given. Callers check the post itself is visible.
+ */
+export async function getTranslations(slug?: string) {
+  let query = supabase
+    .from('post_translations')
+    .select('*')
+    .order('lang', { ascending: true });
+
+  if (slug) query = query.eq('post_slug', slug);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching translations:', error.message, error);
+    return [];
+  }
+
+  return data as PostTranslation[];
+}
+
 export async function getInterceptedSignals() {
   const { data, error } = await supabase
     .from('uplink_messages')
-    .select('*')
-    .eq('status', 'intercepted')
+    // No status filter: the anon key can't read that column, the read policy only returns intercepted rows
+    .select('id, created_at, agent_id, intercept_text')
+    .not('intercept_text', 'is', null)
     .order('created_at', { ascending: false })
     .limit(5);
 
@@ -109,19 +280,47 @@ export async function getInterceptedSignals() {
     return [];
   }
 
-  return data as UplinkMessage[];
+  return data as InterceptedSignal[];
 }
 
-export async function submitUplinkMessage(message: Omit<UplinkMessage, 'id' | 'created_at'>) {
+export async function getRecentRuns(limit = 8) {
+  const { data, error } = await supabase
+    .from('pipeline_runs')
+    .select('id, script, persona, outcome, started_at, finished_at, duration_ms, token_usage, retries')
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error fetching pipeline runs:', error.message, error);
+    return [];
+  }
+
+  return data as PipelineRun[];
+}
+
+export async function submitUplinkMessage(message: Pick<UplinkMessage, 'agent_id' | 'data_packet'>) {
+  // Client-side cooldown; the insert policy enforces the real limit
+  const lastSent = Number(localStorage.getItem(UPLINK_COOLDOWN_KEY) || 0);
+  const retryInMs = lastSent + UPLINK_LIMITS.cooldownMs - Date.now();
+  if (retryInMs > 0) throw new UplinkRateLimitError(retryInMs);
+
   const { data, error } = await supabase
     .from('uplink_messages')
-    .insert([{ ...message, status: 'pending' }]);
+    .insert([{
+      agent_id: message.agent_id.trim().slice(0, UPLINK_LIMITS.agentIdMaxLength),
+      data_packet: message.data_packet.trim().slice(0, UPLINK_LIMITS.dataPacketMaxLength),
+      status: 'pending',
+    }]);
 
   if (error) {
     console.error('Error submitting uplink message:', error.message, error);
+    // Only the rate limit itself; any other policy violation (42501) is a real error
+    if (error.code === UPLINK_LIMITS.rateLimitCode) throw new UplinkRateLimitError(UPLINK_LIMITS.cooldownMs);
     throw error;
   }
 
+  localStorage.setItem(UPLINK_COOLDOWN_KEY, String(Date.now()));
+
   return data;
 }
 
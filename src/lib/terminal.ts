@@ -0,0 +1,132 @@
+import type { PipelineRun } from './supabase';
+
+// Command interpreter behind TerminalCLI.astro: the component owns the DOM, this turns input into output lines.
+
+export interface WhoisEntry {
+  aliases: string[];
+  line: string;
+}
+
+export interface TerminalContext {
+  whois: WhoisEntry[];
+  getRecentRuns: (limit?: number) => Promise<PipelineRun[]>;
+  /** Appends one line of HTML to the terminal output */
+  print: (html: string) => void;
+  now?: () => Date;
+  wait?: (ms: number) => Promise<void>;
+}
+
+/** What the component has to do after the command: close the terminal, wipe the output or shake the page */
+export type TerminalEffect = 'exit' | 'clear' | 'panic' | null;
+
+export const COMMANDS_HELP = 'COMMANDS: WHOIS [NAME], LIST_NODES, STATUS, LOGS, CLEARANCE, DATE, SUDO PANIC, EXIT, CLEAR';
+
+// Shown when pipeline_runs is empty or unreachable
+const CANNED_STATUS = 'SYSTEM_STATUS: [OPERATIONAL]<br/>CPU_LOAD: 12%<br/>MEM_USAGE: 4.2GB / 16GB<br/>LATENCY: 42ms<br/>UPTIME: 142:23:05';
+const CANNED_LOGS = [
+  '[OK] Algorithmic filter adjusted to 0.82',
+  '[WARN] Ghost signal detected in sector 7G',
+  '[OK] Scraping Deep Web node: #VOID-9',
+  '[INFO] Sentinel v4.2 check complete: 0 errors',
+  '[ALERT] Unauthorized attempt at /admin/backdoor blocked'
+];
+
+const RUN_TAGS: Record<string, string> = {
+  success: 'OK',
+  dry_run: 'OK',
+  idle: 'INFO',
+  partial: 'WARN',
+  rejected: 'WARN',
+  quarantined: 'ALERT',
+  failed: 'FAIL'
+};
+
+export function escapeHtml(text: string) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+export function formatTokens(total = 0) {
+  return total >= 1000 ? `${(total / 1000).toFixed(1)}k` : String(total);
+}
+
+export function formatRun(run: PipelineRun) {
+  const stamp = run.started_at.replace('T', ' ').slice(0, 16);
+  const who = run.persona ? ` // ${run.persona}` : '';
+  const duration = run.duration_ms !== null ? ` ${(run.duration_ms / 1000).toFixed(1)}s` : '';
+  const tokens = run.token_usage?.total ? ` ${formatTokens(run.token_usage.total)} tok` : '';
+  const retries = Object.values(run.retries || {}).reduce((sum, count) => sum + count, 0);
+  return `[${RUN_TAGS[run.outcome] || 'INFO'}] ${stamp} ${run.script.toUpperCase()}${escapeHtml(who)} :: ${run.outcome}${duration}${tokens}${retries ? ` ${retries} retries` : ''}`;
+}
+
+export function summarizeRuns(runs: PipelineRun[]) {
+  const healthy = runs.filter(run => ['success', 'dry_run', 'idle'].includes(run.outcome)).length;
+  const tokens = runs.reduce((sum, run) => sum + (run.token_usage?.total || 0), 0);
+  const lastByScript = [...new Set(runs.map(run => run.script))]
+    .map(script => runs.find(run => run.script === script)!)
+    .map(run => `${run.script.toUpperCase()}: [${run.outcome.toUpperCase()}] @ ${run.started_at.replace('T', ' ').slice(0, 16)}`);
+
+  return [
+    `SYSTEM_STATUS: [${healthy === runs.length ? 'OPERATIONAL' : runs[0].outcome === 'failed' ? 'DEGRADED' : 'UNSTABLE'}]`,
+    ...lastByScript,
+    `SUCCESS_RATE: ${Math.round((healthy / runs.length) * 100)}% (LAST ${runs.length} RUNS)`,
+    `TOKENS_BURNED: ${formatTokens(tokens)}`
+  ].join('<br/>');
+}
+
+export async function runCommand(cmd: string, ctx: TerminalContext): Promise<TerminalEffect> {
+  const { print, now = () => new Date(), wait = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms)) } = ctx;
+  const parts = cmd.trim().toLowerCase().split(' ');
+  const action = parts[0];
+  const args = parts.slice(1);
+
+  switch (action) {
+    case 'help':
+      print(COMMANDS_HELP);
+      return null;
+    case 'exit':
+      return 'exit';
+    case 'clear':
+      return 'clear';
+    case 'date':
+      print(`STARDATE: ${now().toISOString().replace(/T/, ' ').replace(/\..+/, '')}`);
+      return null;
+    case 'clearance':
+      print('CURRENT_ACCESS_LEVEL: [GUEST_READ_ONLY]<br/>RESTRICTION: LEVEL 04 AND ABOVE REQUIRED FOR UPLINK.');
+      return null;
+    case 'status': {
+      // Real pipeline health from pipeline_runs; the canned readout covers an empty or unreachable table
+      const runs = await ctx.getRecentRuns(20);
+      print(runs.length > 0 ? summarizeRuns(runs) : CANNED_STATUS);
+      return null;
+    }
+    case 'logs': {
+      print('RETRIEVING_SYSTEM_LOGS...');
+      const runs = await ctx.getRecentRuns();
+      (runs.length > 0 ? runs.map(formatRun) : CANNED_LOGS).forEach((line) => print(line));
+      return null;
+    }
+    case 'whois': {
+      const subject = ctx.whois.find(entry => entry.aliases.includes(args[0]));
+      print(subject ? subject.line : 'ERROR: SUBJECT NOT FOUND IN DATABASE.');
+      return null;
+    }
+    case 'list_nodes':
+      print('FETCHING_LATEST_SIGNAL_NODES...');
+      await wait(300);
+      print('1. [NODE_NEWS] :: status:ONLINE');
+      print('2. [NODE_REVIEWS] :: status:ONLINE');
+      print('3. [NODE_VAULT] :: status:ENCRYPTED');
+      print('4. [NODE_MANIFESTO] :: status:STABLE');
+      return null;
+    case 'sudo':
+      if (args[0] === 'panic') {
+        print('CRITICAL_SYSTEM_ERROR: TRIGGERING PANIC PROTOCOL...');
+        return 'panic';
+      }
+      print('ERROR: PERMISSION_DENIED');
+      return null;
+    default:
+      print(`ERROR: COMMAND '${escapeHtml(action)}' NOT RECOGNIZED.`);
+      return null;
+  }
+}
@@ -1,4 +1,5 @@
 import { marked } from 'marked';
+import type { Post, ImageVariant } from './supabase';
 
 export const stripMarkdown = (md: string) => {
   if (!md) return '';
@@ -103,12 +104,12 @@ export function getPostGenerativeUrl(post: any) {
  * Generates the best available image URL for a post with a multi-tier fallback system.
  * 1. Supabase Storage (resolves image_url column or falls back to slug.png)
  * 2. Generative Fallback (as a secondary option for component-level onerror handling)
+ * `supabaseUrl` defaults to the build's PUBLIC_SUPABASE_URL; the tests pass it explicitly (null = not configured).
  */
-export function getPostImageUrl(post: any) {
+export function getPostImageUrl(post: any, supabaseUrl: string | null = import.meta.env.PUBLIC_SUPABASE_URL) {
   if (!post) return getPostGenerativeUrl(null);
 
   const placeholderHost = 'your-project-id.supabase.co';
-  const supabaseUrl = import.meta.env.PUBLIC_SUPABASE_URL;
   const actualHost = supabaseUrl && !supabaseUrl.includes(placeholderHost) ? new URL(supabaseUrl).host : null;
 
   // Use image_url if present, otherwise default to {slug}.png
@@ -126,12 +127,35 @@ export function getPostImageUrl(post: any) {
     }
 
     // If it's just a filename, construct the Supabase Storage URL
-    if (supabaseUrl && !supabaseUrl.includes(placeholderHost)) {
-      const cleanBaseUrl = supabaseUrl.replace(/\/$/, '');
-      return `${cleanBaseUrl}/storage/v1/object/public/blog-images/${url}`;
-    }
+    const storageUrl = getStorageUrl(url, supabaseUrl);
+    if (storageUrl) return storageUrl;
   }
 
   // Final Fallback: Pollinations AI generative URL if Supabase URL cannot be constructed
   return getPostGenerativeUrl(post);
 }
+
+/**
+ * Public URL of a file in the blog-images bucket, or null when Supabase is not configured.
+ */
+export function getStorageUrl(file: string, supabaseUrl: string | null = import.meta.env.PUBLIC_SUPABASE_URL) {
+  if (!supabaseUrl || supabaseUrl.includes('your-project-id.supabase.co')) return null;
+  return `${supabaseUrl.replace(/\/$/, '')}/storage/v1/object/public/blog-images/${file}`;
+}
+
+/**
+ * `srcset` strings per format from the visualizer's image_variants, e.g. { avif: 'a-320.avif 320w, ...' }.
+ * Empty for posts rendered before variants existed; components then fall back to the single image_url.
+ */
+export function getPostImageSrcsets(post: Pick<Post, 'image_variants'> | null | undefined, supabaseUrl: string | null = import.meta.env.PUBLIC_SUPABASE_URL) {
+  const srcsets: Partial<Record<ImageVariant['format'], string>> = {};
+  const variants = [...(post?.image_variants || [])].sort((a, b) => a.width - b.width);
+
+  for (const variant of variants) {
+    const url = getStorageUrl(variant.file, supabaseUrl);
+    if (!url) return {};
+    srcsets[variant.format] = [srcsets[variant.format], `${url} ${variant.width}w`].filter(Boolean).join(', ');
+  }
+
+  return srcsets;
+}
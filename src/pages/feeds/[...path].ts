@@ -0,0 +1,79 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getPosts, type Post } from '../../lib/supabase';
+import { personaList } from '../../lib/personas';
+import { FEED_FORMATS, renderFeed, toFeedItems, type FeedFormat } from '../../lib/feeds';
+
+const CATEGORY_FEEDS = [
+  { category: 'news', title: 'NEWS', page: '/news' },
+  { category: 'reviews', title: 'REVIEWS', page: '/reviews' },
+  { category: 'deep-trace', title: 'THE VAULT // DEEP TRACE', page: '/vault' },
+  { category: 'system-files', title: 'THE VAULT // SYSTEM FILES', page: '/vault' },
+];
+
+interface FeedDefinition {
+  scope: string;
+  title: string;
+  description: string;
+  page: string;
+  posts: Post[];
+}
+
+// Every feed is built in all three formats:
+//   /feeds/rss.xml                      everything
+//   /feeds/category/<category>/atom.xml one category
+//   /feeds/writer/<persona-id>/feed.json one persona
+export const getStaticPaths = (async () => {
+  let posts: Post[] = [];
+  try {
+    // getPosts() only returns published posts whose published_at has passed,
+    // so future-scheduled posts stay out of the feeds until the next build after their date.
+    posts = await getPosts();
+  } catch (e) {
+    console.error('Failed to fetch posts for feeds', e);
+  }
+
+  const feeds: FeedDefinition[] = [
+    {
+      scope: '',
+      title: 'THE FEEDBACK LOOP',
+      description: 'All transmissions from the automated underground newsroom.',
+      page: '/',
+      posts,
+    },
+    ...CATEGORY_FEEDS.map(({ category, title, page }) => ({
+      scope: `category/${category}/`,
+      title: `THE FEEDBACK LOOP // ${title}`,
+      description: `Transmissions filed under ${category}.`,
+      page,
+      posts: posts.filter((post) => post.category === category),
+    })),
+    ...personaList.map((persona) => ({
+      scope: `writer/${persona.id}/`,
+      title: `THE FEEDBACK LOOP // ${persona.fullName}`,
+      description: `Every transmission filed by ${persona.fullName}: ${persona.staff.role}.`,
+      page: `/staff/${persona.id}`,
+      posts: posts.filter((post) => post.ai_writer === persona.fullName),
+    })),
+  ];
+
+  return feeds.flatMap((feed) =>
+    (Object.keys(FEED_FORMATS) as FeedFormat[]).map((format) => ({
+      params: { path: `${feed.scope}${format}` },
+      props: { feed, format },
+    }))
+  );
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute = async ({ props, site, url }) => {
+  const { feed, format } = props as { feed: FeedDefinition; format: FeedFormat };
+  const origin = site ?? url;
+
+  const body = renderFeed(format, {
+    title: feed.title,
+    description: feed.description,
+    homeUrl: new URL(`${import.meta.env.BASE_URL}${feed.page}`.replace(/\/+/g, '/'), origin).toString(),
+    feedUrl: new URL(`${import.meta.env.BASE_URL}/feeds/${feed.scope}${format}`.replace(/\/+/g, '/'), origin).toString(),
+  }, await toFeedItems(feed.posts, origin));
+
+  return new Response(body, { headers: { 'Content-Type': FEED_FORMATS[format] } });
+};
@@ -0,0 +1,33 @@
+import type { APIRoute } from 'astro';
+import { getPosts, type Post } from '../lib/supabase';
+import { stripMarkdown } from '../lib/utils';
+import type { SearchDocument } from '../lib/search';
+
+// Body text is capped so the index stays small enough to fetch on first keystroke
+const CONTENT_LIMIT = 4000;
+
+function toSearchDocument(post: Post): SearchDocument {
+  return {
+    slug: post.slug,
+    title: post.title,
+    summary: stripMarkdown(post.summary || ''),
+    content: stripMarkdown(post.content || '').slice(0, CONTENT_LIMIT),
+    writer: post.ai_writer,
+    category: post.category,
+    keywords: post.seo_keywords || [],
+    date: post.published_at || post.created_at,
+  };
+}
+
+export const GET: APIRoute = async () => {
+  let posts: Post[] = [];
+  try {
+    posts = await getPosts();
+  } catch (e) {
+    console.error('Failed to fetch posts for search index', e);
+  }
+
+  return new Response(JSON.stringify(posts.map(toSearchDocument)), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
@@ -77,3 +77,208 @@ ALTER TABLE inspiration_pool ENABLE ROW LEVEL SECURITY;
 -- Allow public read access to active inspiration pool items
 CREATE POLICY "Allow public read access to active inspiration_pool" ON inspiration_pool
   FOR SELECT USING (active = true);
+
+-- [MIGRATION] SENTINEL output columns (newsroom.js)
+-- Written on every post since the first newsroom run but missing from the original CREATE TABLE.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS system_alert text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS editorial_note text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS seo_keywords text[];
+
+-- [MIGRATION] Editorial review queue (review.js)
+-- status: 'draft' (awaiting review) | 'published' | 'rejected'
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS updated_at timestamptz;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS raw_draft text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS review_note text;
+
+-- [MIGRATION] Uplink moderation (moderator.js)
+-- status: 'pending' (awaiting triage) | 'intercepted' (shown on the homepage) | 'spam' | 'abusive'
+ALTER TABLE uplink_messages ADD COLUMN IF NOT EXISTS intercept_text text;
+ALTER TABLE uplink_messages ADD COLUMN IF NOT EXISTS moderation_note text;
+ALTER TABLE uplink_messages ADD COLUMN IF NOT EXISTS moderated_at timestamptz;
+
+-- Allow public read access to intercepted signals only (the homepage reads them with the anon key)
+CREATE POLICY "Allow public read access to intercepted uplink_messages" ON uplink_messages
+  FOR SELECT USING (status = 'intercepted');
+
+-- ...and only to SENTINEL's rewrite of them: the reader's raw data_packet, the moderation note and status stay
+-- readable with the SERVICE_ROLE_KEY only (RLS filters rows, the column grants filter columns).
+REVOKE SELECT ON uplink_messages FROM anon, authenticated;
+GRANT SELECT (id, created_at, agent_id, intercept_text) ON uplink_messages TO anon, authenticated;
+
+-- Rate limit for the anonymous insert path: 3 packets per agent per 10 minutes, 30 per minute overall.
+-- The per-agent limit is only as good as the self-chosen agent_id; the 30/minute cap is deliberately global,
+-- a flood guard that keeps the moderation queue bounded: while someone floods the form, everyone is refused.
+-- Over either limit it raises PT429 (PostgREST answers 429 with that code), so clients can tell a throttled
+-- insert from any other policy violation (42501).
+-- SECURITY DEFINER so the count can see rows the anon role cannot SELECT.
+CREATE OR REPLACE FUNCTION uplink_rate_ok(agent text)
+RETURNS boolean
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF (SELECT count(*) FROM uplink_messages
+      WHERE lower(agent_id) = lower(agent) AND created_at > now() - interval '10 minutes') >= 3
+    OR (SELECT count(*) FROM uplink_messages
+      WHERE created_at > now() - interval '1 minute') >= 30 THEN
+    RAISE EXCEPTION 'UPLINK_RATE_LIMITED' USING ERRCODE = 'PT429';
+  END IF;
+  RETURN true;
+END;
+$$;
+
+DROP POLICY IF EXISTS "Allow public insert uplink_messages" ON uplink_messages;
+CREATE POLICY "Allow public insert uplink_messages" ON uplink_messages
+  FOR INSERT WITH CHECK (
+    status = 'pending'
+    AND char_length(agent_id) BETWEEN 1 AND 40
+    AND char_length(data_packet) BETWEEN 1 AND 1000
+    AND uplink_rate_ok(agent_id)
+  );
+
+-- [MIGRATION] Reader suggestions as newsroom assignments (newsroom.js --from-suggestions)
+-- A suggestion is used once: used_at/post_slug are set when its post is injected.
+-- Reading and updating suggestions needs the SERVICE_ROLE_KEY (the public can only insert).
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS used_at timestamptz;
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS post_slug text REFERENCES posts(slug) ON UPDATE CASCADE ON DELETE SET NULL;
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS assigned_writer text;
+
+-- [MIGRATION] Responsive image variants (visualizer.js)
+-- [{ "file": "<slug>-<ts>-640.webp", "width": 640, "format": "webp" }, ...] next to the master PNG in image_url
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_variants jsonb;
+
+-- [MIGRATION] Image provenance (visualizer.js)
+-- prompt, director, model after the fallback chain, seed, attempts and the history of replaced images (--regenerate).
+-- image_metadata keeps the one-line summary shown under each image.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_metadata text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_provenance jsonb;
+
+-- [MIGRATION] Visualizer job state (visualizer.js)
+-- image_status: NULL/'pending' (queued) | 'done' | 'failed' (retried after image_retry_at) | 'abandoned' (gave up)
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_status text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_attempts int4 DEFAULT 0;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_error text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_retry_at timestamptz;
+
+-- [MIGRATION] Pipeline run history (pipeline/runlog.js)
+-- One row per newsroom.js / visualizer.js invocation; the per-event detail stays in the run-logs/*.jsonl files.
+-- outcome: 'success' | 'partial' | 'failed' | 'rejected' | 'quarantined' | 'dry_run' | 'idle'
+CREATE TABLE IF NOT EXISTS pipeline_runs (
+  id uuid PRIMARY KEY,
+  script text NOT NULL,
+  persona text,
+  outcome text NOT NULL,
+  error text,
+  started_at timestamptz NOT NULL,
+  finished_at timestamptz,
+  duration_ms int4,
+  steps jsonb,        -- [{ "name": "writer#1", "ok": true, "ms": 5120 }, ...]
+  token_usage jsonb,  -- { "calls", "prompt", "output", "total", "by_role": { ... } }
+  retries jsonb,      -- { "sentinel": 1, "generator": 3, ... }
+  details jsonb
+);
+
+CREATE INDEX IF NOT EXISTS pipeline_runs_started_at_idx ON pipeline_runs (started_at DESC);
+
+ALTER TABLE pipeline_runs ENABLE ROW LEVEL SECURITY;
+
+-- The terminal CLI (LOGS / STATUS) reads the history with the anon key
+DROP POLICY IF EXISTS "Allow public read access to pipeline_runs" ON pipeline_runs;
+CREATE POLICY "Allow public read access to pipeline_runs" ON pipeline_runs
+  FOR SELECT USING (true);
+
+-- RLS only filters rows: the column grants keep error, steps and details (draft titles, suggestion topics,
+-- quarantine paths, raw DB/LLM errors) readable with the SERVICE_ROLE_KEY only.
+REVOKE SELECT ON pipeline_runs FROM anon, authenticated;
+GRANT SELECT (id, script, persona, outcome, started_at, finished_at, duration_ms, token_usage, retries)
+  ON pipeline_runs TO anon, authenticated;
+
+-- Inserts come from the scripts with the SERVICE_ROLE_KEY. With the ANON_KEY you would need:
+-- CREATE POLICY "Allow service insert pipeline_runs" ON pipeline_runs FOR INSERT WITH CHECK (true);
+
+-- [MIGRATION] Multi-part series (newsroom.js --series / --continue)
+-- series_slug groups the installments, series_part numbers them from 1, series_previous is the part this one continues.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series_slug text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series_title text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series_part int4;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series_previous text REFERENCES posts(slug) ON UPDATE CASCADE ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS posts_series_idx ON posts (series_slug, series_part);
+
+-- [MIGRATION] Cross-persona responses (newsroom.js --respond-to)
+-- response_to is the post being answered; response_kind: 'companion' | 'rebuttal'
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS response_to text REFERENCES posts(slug) ON UPDATE CASCADE ON DELETE SET NULL;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS response_kind text;
+CREATE INDEX IF NOT EXISTS posts_response_to_idx ON posts (response_to);
+
+-- [MIGRATION] Numeric integrity score (pipeline/sentinel.js, /stats)
+-- The Integrity Scan percentage from system_alert, written at creation. The UPDATE backfills older posts.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS integrity_score numeric(5, 2);
+UPDATE posts
+  SET integrity_score = substring(system_alert FROM '(?i)integrity[\s_]scan:\s*(\d+(?:\.\d+)?)')::numeric
+  WHERE integrity_score IS NULL
+    AND system_alert ~* 'integrity[\s_]scan:\s*\d';
+
+-- [MIGRATION] Source grounding (newsroom.js --source / --source-table)
+-- source_url/source_title: the real-world story the article was grounded in.
+-- citations: SENTINEL's claim check, [{ "claim", "evidence", "status": "supported" | "unsupported" | "corrected" }]
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS source_url text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS source_title text;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS citations jsonb;
+
+-- Queue for --source-table: fill it from a feed reader or by hand. Like suggestions, a source is used once
+-- (used_at/post_slug are set when its post is injected) and only the SERVICE_ROLE_KEY can read or update it.
+CREATE TABLE IF NOT EXISTS sources (
+  id int8 PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+  created_at timestamptz DEFAULT now(),
+  url text NOT NULL UNIQUE,
+  title text,
+  content text,
+  published_at timestamptz,
+  used_at timestamptz,
+  post_slug text REFERENCES posts(slug) ON UPDATE CASCADE ON DELETE SET NULL
+);
+
+ALTER TABLE sources ENABLE ROW LEVEL SECURITY;
+
+-- [MIGRATION] Post translations (newsroom.js --translate / --lang, /<lang>/posts/<slug>)
+-- One row per post and language (codes from src/data/languages.json); the English post stays in `posts`.
+-- translator: the persona that re-voiced the post, model: the model it ran on.
+CREATE TABLE IF NOT EXISTS post_translations (
+  id int8 PRIMARY KEY GENERATED BY DEFAULT AS IDENTITY,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  post_slug text NOT NULL REFERENCES posts(slug) ON UPDATE CASCADE ON DELETE CASCADE,
+  lang text NOT NULL,
+  title text NOT NULL,
+  summary text,
+  content text,
+  seo_keywords text[],
+  translator text,
+  model text,
+  UNIQUE (post_slug, lang)
+);
+
+ALTER TABLE post_translations ENABLE ROW LEVEL SECURITY;
+
+-- Readable exactly when the post itself is (published; the site also hides future-scheduled posts)
+DROP POLICY IF EXISTS "Allow public read access to post_translations" ON post_translations;
+CREATE POLICY "Allow public read access to post_translations" ON post_translations
+  FOR SELECT USING (EXISTS (SELECT 1 FROM posts WHERE posts.slug = post_translations.post_slug AND posts.status = 'published'));
+
+-- Inserts and updates come from newsroom.js with the SERVICE_ROLE_KEY.
+
+-- [MIGRATION] Failed suggestion runs (newsroom.js --from-suggestions)
+-- attempts counts runs that took the suggestion and died without a post (duplicate, SENTINEL failure...);
+-- after 3 the suggestion gets skipped_at and the queue moves on. Clear skipped_at to put it back.
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS attempts int4 DEFAULT 0;
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS last_error text;
+ALTER TABLE suggestions ADD COLUMN IF NOT EXISTS skipped_at timestamptz;
+
+-- [MIGRATION] Failed source runs (newsroom.js --source-table)
+-- Same as suggestions: a dead link or a run that dies without a post counts in attempts;
+-- after 3 the source gets skipped_at and the queue moves on. Clear skipped_at to put it back.
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS attempts int4 DEFAULT 0;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS last_error text;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS skipped_at timestamptz;
@@ -0,0 +1,174 @@
+import { test, expect } from '@playwright/test';
+import { startStandin, type Standin } from '../support/supabase-standin';
+import { runScript } from '../support/pipeline';
+import { seedData } from '../fixtures/seed';
+
+// newsroom.js end to end: mock WRITER -> mock SENTINEL -> posts table on the stand-in.
+
+let standin: Standin;
+
+test.beforeEach(async () => {
+  standin = await startStandin(seedData());
+});
+
+test.afterEach(async () => {
+  await standin.close();
+});
+
+const newsroomRuns = () => standin.tables.pipeline_runs.filter((run) => run.script === 'newsroom');
+
+test('injects a SENTINEL-approved post and logs the run', async () => {
+  const result = await runScript('newsroom.js', ['--writer', 'AXEL_WIRE'], standin);
+  expect(result.code, result.output).toBe(0);
+
+  const post = standin.tables.posts.find((row) => row.slug === 'fixture-signal-axel-wire');
+  expect(post, result.output).toBeTruthy();
+  expect(post).toMatchObject({ ai_writer: 'AXEL_WIRE', category: 'news', status: 'published', integrity_score: 87 });
+  expect(post!.system_alert).toContain('[SYSTEM ALERT // SENTINEL');
+  expect(post!.raw_draft).toBeTruthy();
+  expect(Date.parse(post!.published_at)).toBeGreaterThan(Date.now());
+
+  const run = newsroomRuns().at(-1);
+  expect(run).toMatchObject({ outcome: 'success', persona: 'AXEL_WIRE' });
+  expect(run!.details).toMatchObject({ post_slug: 'fixture-signal-axel-wire' });
+});
+
+test('--dry-run writes nothing to posts', async () => {
+  const before = standin.tables.posts.length;
+  const result = await runScript('newsroom.js', ['--writer', 'V3RA_L1GHT', '--dry-run'], standin);
+  expect(result.code, result.output).toBe(0);
+  expect(result.output).toContain('DRY RUN');
+  expect(standin.tables.posts).toHaveLength(before);
+});
+
+test('--status draft holds the post for review', async () => {
+  const result = await runScript('newsroom.js', ['--writer', 'PATCH', '--status', 'draft'], standin);
+  expect(result.code, result.output).toBe(0);
+  expect(standin.tables.posts.find((row) => row.slug === 'fixture-signal-patch')).toMatchObject({ status: 'draft' });
+});
+
+test('a story that repeats a published post is rejected by the dedupe gate', async () => {
+  const first = await runScript('newsroom.js', ['--writer', 'R3-CORD'], standin);
+  expect(first.code, first.output).toBe(0);
+  const before = standin.tables.posts.length;
+
+  // The fixture bank replays the same article, so every regenerated draft is a duplicate too
+  const second = await runScript('newsroom.js', ['--writer', 'R3-CORD', '--dedupe-attempts', '2'], standin);
+  expect(second.code).not.toBe(0);
+  expect(second.output).toContain('DUPLICATE SIGNAL DETECTED');
+  expect(standin.tables.posts).toHaveLength(before);
+  expect(newsroomRuns().at(-1)).toMatchObject({ outcome: 'rejected' });
+});
+
+test('--from-suggestions consumes the oldest suggestion and links it to the post', async () => {
+  const result = await runScript('newsroom.js', ['--from-suggestions'], standin);
+  expect(result.code, result.output).toBe(0);
+
+  const suggestion = standin.tables.suggestions[0];
+  expect(suggestion.used_at).toBeTruthy();
+  expect(standin.tables.posts.some((row) => row.slug === suggestion.post_slug)).toBe(true);
+});
+
+test('--from-suggestions pages past blank suggestions and retires them', async () => {
+  const [suggestion] = standin.tables.suggestions;
+  // More blank rows than one page, all older than the real one
+  const blanks = Array.from({ length: 12 }, (_, i) => ({
+    id: 100 + i, suggestion: i % 2 ? '   ' : '', created_at: `2000-01-01T00:00:${String(i).padStart(2, '0')}.000Z`, attempts: 0, used_at: null, skipped_at: null,
+  }));
+  standin.tables.suggestions.push(...blanks);
+
+  const dry = await runScript('newsroom.js', ['--from-suggestions', '--dry-run'], standin);
+  expect(dry.output).toContain(`READER SUGGESTION #${suggestion.id} ACQUIRED`);
+  expect(blanks.every((row) => row.skipped_at === null)).toBe(true);
+
+  const result = await runScript('newsroom.js', ['--from-suggestions'], standin);
+  expect(result.code, result.output).toBe(0);
+  expect(suggestion.used_at).toBeTruthy();
+  for (const row of blanks) expect(row).toMatchObject({ skipped_at: expect.any(String), last_error: 'Blank suggestion' });
+});
+
+test('--translate stores a translation of a published post', async () => {
+  const result = await runScript('newsroom.js', ['--translate', 'basement-frequencies', '--lang', 'ja'], standin);
+  expect(result.code, result.output).toBe(0);
+  expect(standin.tables.post_translations).toContainEqual(expect.objectContaining({ post_slug: 'basement-frequencies', lang: 'ja' }));
+});
+
+test('--translate refuses a post that is not published', async () => {
+  const result = await runScript('newsroom.js', ['--translate', 'draft-in-review', '--lang', 'ja'], standin);
+  expect(result.code).not.toBe(0);
+  expect(standin.tables.post_translations.some((row) => row.post_slug === 'draft-in-review')).toBe(false);
+});
+
+test('an invalid --publish-in is refused before anything is generated', async () => {
+  for (const value of ['abc', '-2', '1.5']) {
+    const result = await runScript('newsroom.js', ['--writer', 'AXEL_WIRE', `--publish-in=${value}`], standin);
+    expect(result.output).toContain('--publish-in: Invalid delay');
+    expect(result.output).not.toContain('WRITER AGENT ENGAGED');
+  }
+  // A bare flag is not "1 day"
+  const bare = await runScript('newsroom.js', ['--writer', 'AXEL_WIRE', '--publish-in'], standin);
+  expect(bare.output).toContain('--publish-in: Invalid delay');
+  expect(newsroomRuns()).toHaveLength(1);
+});
+
+test('--publish-in 0 schedules the post for tonight', async () => {
+  const result = await runScript('newsroom.js', ['--writer', 'AXEL_WIRE', '--publish-in', '0'], standin);
+  expect(result.code, result.output).toBe(0);
+  const post = standin.tables.posts.find((row) => row.slug === 'fixture-signal-axel-wire')!;
+  expect(Date.parse(post.published_at)).toBeLessThanOrEqual(Date.now());
+});
+
+test('an invalid --similarity-threshold is refused instead of switching dedupe off', async () => {
+  for (const value of ['abc', '0', '1.5']) {
+    const result = await runScript('newsroom.js', ['--writer', 'AXEL_WIRE', `--similarity-threshold=${value}`], standin);
+    expect(result.output).toContain('Invalid --similarity-threshold');
+    expect(result.output).not.toContain('WRITER AGENT ENGAGED');
+  }
+  expect(newsroomRuns()).toHaveLength(1);
+});
+
+test('a suggestion whose runs keep failing is skipped instead of blocking the queue', async () => {
+  const suggestion = standin.tables.suggestions[0];
+  // The fixture article is already out, so a run on the suggestion can only end as a duplicate
+  expect((await runScript('newsroom.js', ['--writer', 'AXEL_WIRE'], standin)).code).toBe(0);
+  const fromSuggestions = ['--from-suggestions', '--writer', 'AXEL_WIRE', '--dedupe-attempts', '1'];
+
+  const first = await runScript('newsroom.js', fromSuggestions, standin);
+  expect(first.code).not.toBe(0);
+  expect(first.output).toContain(`READER SUGGESTION #${suggestion.id} FAILED [1/3]`);
+  expect(suggestion).toMatchObject({ attempts: 1, used_at: null, skipped_at: null });
+  expect(suggestion.last_error).toContain('Duplicate of /posts/fixture-signal-axel-wire');
+
+  suggestion.attempts = 2;
+  const last = await runScript('newsroom.js', fromSuggestions, standin);
+  expect(last.output).toContain(`READER SUGGESTION #${suggestion.id} SKIPPED AFTER 3 FAILED RUN(S)`);
+  expect(suggestion.skipped_at).toBeTruthy();
+
+  const next = await runScript('newsroom.js', ['--from-suggestions', '--dry-run'], standin);
+  expect(next.output).toContain('SUGGESTION QUEUE EMPTY');
+});
+
+test('a source whose URL answers 404 is passed over and counted against', async () => {
+  standin.tables.sources.push(
+    // Newest, so it is tried first; no content, so its page has to be fetched
+    { id: 1, url: `${standin.url}/pages/gone`, title: 'Vanished Story', published_at: new Date().toISOString(), attempts: 0, used_at: null, skipped_at: null },
+    { id: 2, url: 'https://scene.example/basement-tour', title: 'Basement Tour Announced', content: 'Static Vandals announced a basement tour.', published_at: '2026-01-01T00:00:00.000Z', attempts: 0, used_at: null, skipped_at: null },
+  );
+
+  const result = await runScript('newsroom.js', ['--source-table', '--writer', 'AXEL_WIRE'], standin);
+  expect(result.code, result.output).toBe(0);
+  expect(result.output).toContain('answered 404');
+
+  const [dead, live] = standin.tables.sources;
+  expect(dead).toMatchObject({ attempts: 1, used_at: null, skipped_at: null });
+  expect(dead.last_error).toContain('answered 404');
+  expect(live.used_at).toBeTruthy();
+  expect(standin.tables.posts.find((row) => row.slug === live.post_slug)).toMatchObject({ source_url: live.url });
+
+  // Third strike: the dead row leaves the queue
+  dead.attempts = 2;
+  live.used_at = null;
+  standin.tables.posts = standin.tables.posts.filter((row) => row.slug !== live.post_slug);
+  await runScript('newsroom.js', ['--source-table', '--writer', 'AXEL_WIRE', '--dry-run'], standin);
+  expect(dead.skipped_at).toBeTruthy();
+});
@@ -0,0 +1,41 @@
+import { test, expect } from '@playwright/test';
+import { startStandin, type Standin } from '../support/supabase-standin';
+import { runScript } from '../support/pipeline';
+import { seedData } from '../fixtures/seed';
+
+// review.js end to end: approve / reject against the posts table on the stand-in.
+
+let standin: Standin;
+
+test.beforeEach(async () => {
+  standin = await startStandin(seedData());
+});
+
+test.afterEach(async () => {
+  await standin.close();
+});
+
+const post = (slug: string) => standin.tables.posts.find((row) => row.slug === slug)!;
+
+test('a draft is approved and published', async () => {
+  const result = await runScript('review.js', ['approve', 'draft-in-review'], standin);
+  expect(result.code, result.output).toBe(0);
+  expect(post('draft-in-review').status).toBe('published');
+});
+
+test('rejecting a published post is refused without --force', async () => {
+  const result = await runScript('review.js', ['reject', 'basement-frequencies', '--reason', 'typo'], standin);
+  expect(result.code).not.toBe(0);
+  expect(result.output).toContain("'basement-frequencies' is published, not a draft");
+  expect(post('basement-frequencies')).toMatchObject({ status: 'published', review_note: null });
+
+  const forced = await runScript('review.js', ['reject', 'basement-frequencies', '--force'], standin);
+  expect(forced.code, forced.output).toBe(0);
+  expect(post('basement-frequencies').status).toBe('rejected');
+});
+
+test('approving a rejected post is refused without --force', async () => {
+  const result = await runScript('review.js', ['approve', 'rejected-signal'], standin);
+  expect(result.code).not.toBe(0);
+  expect(post('rejected-signal').status).toBe('rejected');
+});
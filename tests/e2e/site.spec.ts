@@ -0,0 +1,118 @@
+import { test, expect } from '@playwright/test';
+import { startStandin, type Standin } from '../support/supabase-standin';
+import { buildSite, readBuilt, isBuilt, removeBuild } from '../support/pipeline';
+import { seedData } from '../fixtures/seed';
+
+// The real `astro build` against the seeded stand-in, then assertions on the static output.
+// One build for the whole file: it is by far the slowest step.
+
+let standin: Standin;
+let outDir: string;
+
+test.describe.configure({ mode: 'serial' });
+
+test.beforeAll(async () => {
+  standin = await startStandin(seedData());
+  outDir = await buildSite(standin);
+});
+
+test.afterAll(async () => {
+  if (outDir) removeBuild(outDir);
+  await standin.close();
+});
+
+const HIDDEN = ['scheduled-transmission', 'draft-in-review', 'rejected-signal'];
+const storageUrl = (file: string) => `${standin.url}/storage/v1/object/public/blog-images/${file}`;
+
+test.describe('scheduled-post visibility', () => {
+  test('published posts get a page', () => {
+    expect(isBuilt(outDir, 'posts/basement-frequencies/index.html')).toBe(true);
+    expect(isBuilt(outDir, 'posts/tape-hiss-verdict/index.html')).toBe(true);
+  });
+
+  test('scheduled, draft and rejected posts get no page', () => {
+    for (const slug of HIDDEN) {
+      expect(isBuilt(outDir, `posts/${slug}/index.html`), slug).toBe(false);
+    }
+  });
+
+  test('hidden posts stay out of the front page, feeds and search index', () => {
+    const surfaces = ['index.html', 'feeds/rss.xml', 'feeds/feed.json', 'search-index.json'].map((file) => readBuilt(outDir, file));
+    for (const slug of HIDDEN) {
+      for (const surface of surfaces) expect(surface).not.toContain(`posts/${slug}`);
+    }
+    expect(readBuilt(outDir, 'feeds/rss.xml')).toContain('posts/basement-frequencies');
+  });
+
+  test('a translation is only built once its post is out', () => {
+    expect(isBuilt(outDir, 'es/posts/basement-frequencies/index.html')).toBe(true);
+    expect(isBuilt(outDir, 'es/posts/scheduled-transmission/index.html')).toBe(false);
+
+    const html = readBuilt(outDir, 'es/posts/basement-frequencies/index.html');
+    expect(html).toContain('<html lang="es"');
+    expect(html).toContain('hreflang="en"');
+    expect(html).toContain('Frecuencias de Sótano');
+  });
+
+  test('a translation links to related posts in its language where they have one', () => {
+    const html = readBuilt(outDir, 'es/posts/basement-frequencies/index.html');
+    expect(html).toContain('href="/thefeedbackloop/es/posts/external-image"');
+    // No Spanish version: the original, not a /es/ page that was never built
+    expect(html).toContain('href="/thefeedbackloop/posts/no-image-yet"');
+    expect(html).not.toContain('/es/posts/no-image-yet');
+  });
+});
+
+test.describe('post image fallbacks', () => {
+  test('a file name resolves to the storage bucket', () => {
+    expect(readBuilt(outDir, 'posts/basement-frequencies/index.html')).toContain(storageUrl('basement-frequencies.png'));
+  });
+
+  test('a full URL is used as is', () => {
+    expect(readBuilt(outDir, 'posts/external-image/index.html')).toContain('https://cdn.example.org/shots/external.png');
+  });
+
+  test('a placeholder project URL is repaired to the configured project', () => {
+    const html = readBuilt(outDir, 'posts/placeholder-image/index.html');
+    expect(html).not.toContain('your-project-id.supabase.co');
+    expect(html).toContain(`${new URL(standin.url).host}/storage/v1/object/public/blog-images/placeholder-image.png`);
+  });
+
+  test('a post without image_url falls back to its slug', () => {
+    expect(readBuilt(outDir, 'posts/no-image-yet/index.html')).toContain(storageUrl('no-image-yet.png'));
+  });
+});
+
+test('the Atom feed is as fresh as its most recently changed entry', () => {
+  const atom = readBuilt(outDir, 'feeds/atom.xml');
+  const [feedUpdated, ...entryDates] = [...atom.matchAll(/<(?:updated|published)>([^<]+)</g)].map((match) => Date.parse(match[1]));
+  expect(entryDates.length).toBeGreaterThan(0);
+  expect(feedUpdated).toBe(Math.max(...entryDates));
+  // The edited review, not the newest post at the top of the feed
+  expect(feedUpdated).toBe(Date.parse(standin.tables.posts.find((row) => row.slug === 'tape-hiss-verdict')!.updated_at));
+  // No made-up enclosure sizes
+  expect(readBuilt(outDir, 'feeds/rss.xml')).not.toContain('length="0"');
+});
+
+test('the SENTINEL alert is rendered on the post page', () => {
+  const html = readBuilt(outDir, 'posts/basement-frequencies/index.html');
+  expect(html).toContain('91%');
+  expect(html).toContain('Venue capacity confirmed.');
+});
+
+test('a source link that is not http(s) is never rendered as a link', () => {
+  const html = readBuilt(outDir, 'posts/tape-hiss-verdict/index.html');
+  expect(html).toContain('Hostile Feed Item');
+  expect(html).not.toMatch(/href="javascript:/i);
+});
+
+test('the terminal gets the staff directory for whois', () => {
+  const html = readBuilt(outDir, 'index.html');
+  expect(html).toContain('id="terminal-cli"');
+  expect(html).toMatch(/data-whois="[^"]*AXEL_WIRE/);
+});
+
+test('the stats page counts only published posts', () => {
+  // 5 visible posts in the seed; the 3 hidden ones must not be counted
+  expect(readBuilt(outDir, 'stats/index.html')).toMatch(/\[TRANSMISSIONS:\s*(<!--[^>]*-->)?\s*5\s*(<!--[^>]*-->)?\s*\]/);
+});
@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+import { startStandin, type Standin } from '../support/supabase-standin';
+import { runScript } from '../support/pipeline';
+import { seedData } from '../fixtures/seed';
+
+// visualizer.js end to end: mock DIRECTOR -> stand-in generator -> sharp variants -> storage + posts row.
+
+let standin: Standin;
+
+test.beforeEach(async () => {
+  standin = await startStandin(seedData());
+});
+
+test.afterEach(async () => {
+  await standin.close();
+});
+
+const target = () => standin.tables.posts.find((row) => row.slug === 'no-image-yet')!;
+const visualizerRuns = () => standin.tables.pipeline_runs.filter((run) => run.script === 'visualizer');
+
+test('renders the post without an image, uploads every variant and links them', async () => {
+  const result = await runScript('visualizer.js', [], standin);
+  expect(result.code, result.output).toBe(0);
+
+  const post = target();
+  expect(post.image_status).toBe('done');
+  expect(post.image_url).toMatch(/^no-image-yet-\d+\.png$/);
+  expect(standin.storage.has(`blog-images/${post.image_url}`)).toBe(true);
+
+  expect(post.image_variants.length).toBeGreaterThan(0);
+  for (const variant of post.image_variants) {
+    expect(standin.storage.has(`blog-images/${variant.file}`), variant.file).toBe(true);
+  }
+
+  expect(post.image_provenance).toMatchObject({ generator: new URL(standin.url).host, attempts: 1 });
+  expect(post.image_metadata).toContain('SEED:');
+  expect(visualizerRuns().at(-1)).toMatchObject({ outcome: 'success' });
+
+  // Posts that already had an image are left alone
+  expect(standin.tables.posts.find((row) => row.slug === 'basement-frequencies')!.image_url).toBe('basement-frequencies.png');
+});
+
+test('rejected posts are never rendered', async () => {
+  const rejected = standin.tables.posts.find((row) => row.slug === 'rejected-signal')!;
+  Object.assign(rejected, { image_url: null, image_status: null });
+
+  const result = await runScript('visualizer.js', [], standin);
+  expect(result.code, result.output).toBe(0);
+  expect(result.output).not.toContain('rejected-signal');
+  expect(rejected).toMatchObject({ image_url: null, image_status: null });
+  expect(target().image_status).toBe('done');
+});
+
+test('falls back to the next model when the preferred one is down', async () => {
+  standin.failGenerator = 2;
+  const result = await runScript('visualizer.js', [], standin);
+  expect(result.code, result.output).toBe(0);
+
+  const { image_provenance: provenance } = target();
+  expect(provenance.attempts).toBe(3);
+  expect(provenance.model).not.toBe(provenance.preferred_model);
+});
+
+test('a job with every model down is scheduled for a retry instead of crashing the batch', async () => {
+  standin.failGenerator = 100;
+  const result = await runScript('visualizer.js', [], standin);
+
+  const post = target();
+  expect(post.image_url, result.output).toBeNull();
+  expect(post.image_status).toBe('failed');
+  expect(post.image_attempts).toBe(1);
+  expect(Date.parse(post.image_retry_at)).toBeGreaterThan(Date.now());
+  expect(visualizerRuns().at(-1)).toMatchObject({ outcome: 'failed' });
+});
+
+test('--regenerate replays the recorded filter without the flag being passed again', async () => {
+  const post = standin.tables.posts.find((row) => row.slug === 'basement-frequencies')!;
+  post.image_provenance = { prompt: 'A basement venue under CRT glow', director: 'ISO_GHO5T', model: 'flux', seed: 1234, filter: 'crt' };
+
+  const result = await runScript('visualizer.js', ['--regenerate', 'basement-frequencies'], standin);
+  expect(result.code, result.output).toBe(0);
+  expect(result.output).toContain('CRT FILTER ENGAGED');
+  expect(post.image_provenance).toMatchObject({ seed: 1234, model: 'flux', filter: 'crt' });
+  expect(post.image_provenance.history).toHaveLength(1);
+});
@@ -0,0 +1,72 @@
+import type { Row } from '../support/supabase-standin';
+
+// Seed rows for the stand-in. Dates are relative to the run so "published" and "scheduled" stay what they say.
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days: number) => new Date(Date.now() + days * DAY).toISOString();
+
+const SENTINEL_ALERT = '[SYSTEM ALERT // SENTINEL v4.2]\n\nIntegrity Scan: 91%. Status nominal.\nFact-Check: Venue capacity confirmed.';
+
+function post(slug: string, fields: Row = {}): Row {
+  return {
+    slug,
+    title: slug.split('-').map((word) => word[0].toUpperCase() + word.slice(1)).join(' '),
+    summary: `Summary of ${slug}.`,
+    content: `# ${slug.toUpperCase()}\n\nThe pit opened at midnight and never closed.\n\nSIGNAL OUT.`,
+    category: 'news',
+    status: 'published',
+    ai_writer: 'AXEL_WIRE',
+    ai_editor: 'SENTINEL_v4.2',
+    system_alert: SENTINEL_ALERT,
+    editorial_note: 'Logic scan complete. Signal strength stable.',
+    seo_keywords: ['punk', 'hardcore'],
+    image_url: `${slug}.png`,
+    image_status: 'done',
+    published_at: daysFromNow(-3),
+    ...fields,
+  };
+}
+
+export function seedData(): Record<string, Row[]> {
+  return {
+    posts: [
+      post('basement-frequencies', { published_at: daysFromNow(-5) }),
+      // A source_url that predates the scheme check: shown, never linked. Edited after the newest post went out.
+      post('tape-hiss-verdict', { category: 'reviews', ai_writer: 'V3RA_L1GHT', published_at: daysFromNow(-4), updated_at: daysFromNow(-0.5), source_url: 'javascript:alert(1)', source_title: 'Hostile Feed Item' }),
+      // Image fallbacks: full URL, URL on the placeholder project, no image_url at all
+      post('external-image', { image_url: 'https://cdn.example.org/shots/external.png', published_at: daysFromNow(-2) }),
+      post('placeholder-image', { image_url: 'https://your-project-id.supabase.co/storage/v1/object/public/blog-images/placeholder-image.png', published_at: daysFromNow(-2) }),
+      post('no-image-yet', { image_url: null, image_status: null, published_at: daysFromNow(-1) }),
+      // Not visible yet: scheduled for later, held for review, rejected
+      post('scheduled-transmission', { published_at: daysFromNow(3) }),
+      post('draft-in-review', { status: 'draft', published_at: daysFromNow(-1) }),
+      post('rejected-signal', { status: 'rejected', published_at: daysFromNow(-1) }),
+    ],
+    post_translations: [
+      { post_slug: 'basement-frequencies', lang: 'es', title: 'Frecuencias de Sótano', summary: 'Resumen.', content: '# FRECUENCIAS\n\nEl pit se abrió a medianoche.', translator: 'AXEL_WIRE' },
+      // Translation of a post that isn't out yet: must not leak either
+      { post_slug: 'external-image', lang: 'es', title: 'Imagen Externa', summary: 'Resumen.', content: '# EXTERNA', translator: 'AXEL_WIRE' },
+      { post_slug: 'scheduled-transmission', lang: 'es', title: 'Transmisión Programada', summary: 'Resumen.', content: '# PROGRAMADA', translator: 'AXEL_WIRE' },
+    ],
+    suggestions: [
+      { suggestion: 'Cassette-only hardcore labels in Osaka', created_at: daysFromNow(-10) },
+    ],
+    inspiration_pool: [
+      { name: 'Static Vandals' },
+      { name: 'Neon Riot', active: false },
+    ],
+    pipeline_runs: [
+      {
+        id: '6f1c1c7e-0000-4000-8000-000000000001',
+        script: 'newsroom',
+        persona: 'AXEL_WIRE',
+        outcome: 'success',
+        started_at: daysFromNow(-1),
+        finished_at: daysFromNow(-1),
+        duration_ms: 12400,
+        token_usage: { calls: 2, prompt: 1800, output: 900, total: 2700 },
+        retries: { sentinel: 1 },
+      },
+    ],
+  };
+}
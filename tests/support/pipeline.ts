@@ -0,0 +1,78 @@
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import type { Standin } from './supabase-standin';
+
+// Runs the real scripts and the real Astro build against the stand-in, fully offline:
+// LLM_PROVIDER=mock replays pipeline/fixtures/llm, IMAGE_GENERATOR_URL points visualizer.js at the stand-in.
+
+export interface ScriptResult {
+  code: number | null;
+  output: string;
+}
+
+export const tempDir = (prefix: string) => fs.mkdtempSync(path.join(os.tmpdir(), `feedbackloop-${prefix}-`));
+
+// Only what the scripts need: a developer's .env must not leak a real project into the run
+function offlineEnv(standin: Standin, workDir: string, extra: Record<string, string> = {}) {
+  return {
+    PATH: process.env.PATH || '',
+    HOME: process.env.HOME || workDir,
+    SUPABASE_URL: standin.url,
+    PUBLIC_SUPABASE_URL: standin.url,
+    SUPABASE_SERVICE_ROLE_KEY: 'standin-service-key',
+    PUBLIC_SUPABASE_ANON_KEY: 'standin-anon-key',
+    LLM_PROVIDER: 'mock',
+    IMAGE_GENERATOR_URL: `${standin.url}/generator`,
+    RUN_LOG_DIR: path.join(workDir, 'run-logs'),
+    QUARANTINE_DIR: path.join(workDir, 'quarantine'),
+    DOTENV_CONFIG_PATH: path.join(workDir, '.env'),
+    ...extra,
+  };
+}
+
+// `workDir` (run-logs, quarantine) is removed once the process exits: the specs assert on the stand-in, not on those files
+function run(command: string, args: string[], workDir: string, env: Record<string, string>, timeoutMs: number): Promise<ScriptResult> {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { cwd: process.cwd(), env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', (chunk) => (output += chunk));
+    child.stderr.on('data', (chunk) => (output += chunk));
+    const timer = setTimeout(() => child.kill(), timeoutMs);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      fs.rmSync(workDir, { recursive: true, force: true });
+      resolve({ code, output });
+    });
+  });
+}
+
+/**
+ * `node <script> ...args` with the stand-in as its Supabase project.
+ */
+export function runScript(script: string, args: string[], standin: Standin, { env = {}, timeoutMs = 60_000 } = {}) {
+  const workDir = tempDir('script');
+  return run(process.execPath, [script, ...args], workDir, offlineEnv(standin, workDir, env), timeoutMs);
+}
+
+/**
+ * `astro build` into a fresh test-results/dist-* directory (dist/ is left alone); returns the output directory.
+ */
+export async function buildSite(standin: Standin, { timeoutMs = 240_000 } = {}) {
+  const workDir = tempDir('build');
+  // Inside the project on purpose: Astro stages an outDir outside cwd in .astro/ and deletes that folder afterwards
+  fs.mkdirSync(path.join(process.cwd(), 'test-results'), { recursive: true });
+  const outDir = fs.mkdtempSync(path.join(process.cwd(), 'test-results', 'dist-'));
+  const astro = path.join(process.cwd(), 'node_modules', 'astro', 'astro.js');
+  const result = await run(process.execPath, [astro, 'build', '--outDir', outDir], workDir, offlineEnv(standin, workDir), timeoutMs);
+  if (result.code !== 0) {
+    removeBuild(outDir);
+    throw new Error(`astro build failed (${result.code}):\n${result.output.slice(-4000)}`);
+  }
+  return outDir;
+}
+
+export const removeBuild = (outDir: string) => fs.rmSync(outDir, { recursive: true, force: true });
+export const readBuilt = (outDir: string, file: string) => fs.readFileSync(path.join(outDir, file), 'utf8');
+export const isBuilt = (outDir: string, file: string) => fs.existsSync(path.join(outDir, file));
@@ -0,0 +1,402 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import type { AddressInfo } from 'node:net';
+import sharp from 'sharp';
+
+// In-memory stand-in for the parts of Supabase the pipeline and the site use: PostgREST tables, the
+// blog-images storage bucket, plus a fake image generator for visualizer.js (IMAGE_GENERATOR_URL).
+// Tables and columns come from supabase_setup.sql, so a write to a column the migrations don't create
+// fails here the way it would fail in production. RLS is not emulated: every key sees every row.
+
+export const SETUP_SQL = path.join(process.cwd(), 'supabase_setup.sql');
+
+interface Column {
+  name: string;
+  type: string;
+  notNull: boolean;
+  identity: boolean;
+  defaultValue: (() => unknown) | null;
+}
+
+interface Table {
+  name: string;
+  columns: Map<string, Column>;
+  /** Column sets that must be unique (primary key first) */
+  unique: string[][];
+  rows: Record<string, unknown>[];
+  nextId: number;
+}
+
+export type Row = Record<string, any>;
+
+export interface StoredObject {
+  contentType: string;
+  body: Buffer;
+}
+
+export interface Standin {
+  url: string;
+  /** Live rows by table name (the stand-in's own arrays: inspect or mutate them between steps) */
+  tables: Record<string, Row[]>;
+  storage: Map<string, StoredObject>;
+  /** Every request as `METHOD /path?query`, oldest first */
+  requests: string[];
+  /** Generator requests answered with an error until this reaches zero (circuit breaker / fallback tests) */
+  failGenerator: number;
+  close: () => Promise<void>;
+}
+
+const stripComments = (sql: string) => sql.replace(/--[^\n]*/g, '');
+
+// Splits a column list on top-level commas: numeric(5, 2) and UNIQUE (a, b) stay whole
+function splitTopLevel(body: string) {
+  const parts: string[] = [];
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function parseDefault(definition: string): Column['defaultValue'] {
+  const match = definition.match(/\bDEFAULT\s+('(?:[^']|'')*'|[\w.()]+)/i);
+  if (!match) return null;
+  const raw = match[1];
+  if (/^now\(\)$/i.test(raw)) return () => new Date().toISOString();
+  if (/^'/.test(raw)) return () => raw.slice(1, -1).replace(/''/g, "'");
+  if (/^(true|false)$/i.test(raw)) return () => raw.toLowerCase() === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return () => Number(raw);
+  return null;
+}
+
+function parseColumn(definition: string): Column {
+  const [name, type] = definition.split(/\s+/);
+  return {
+    name,
+    type: type.toLowerCase(),
+    notNull: /\bNOT NULL\b|\bPRIMARY KEY\b/i.test(definition),
+    identity: /\bGENERATED\b.*\bAS IDENTITY\b/i.test(definition),
+    defaultValue: parseDefault(definition),
+  };
+}
+
+/**
+ * Tables and columns from CREATE TABLE and ALTER TABLE ... ADD COLUMN statements, in file order.
+ */
+export function loadSchema(sql = fs.readFileSync(SETUP_SQL, 'utf8')) {
+  const tables = new Map<string, Table>();
+  const source = stripComments(sql);
+
+  for (const match of source.matchAll(/CREATE TABLE(?: IF NOT EXISTS)?\s+(\w+)\s*\(([\s\S]*?)\);/gi)) {
+    const table: Table = { name: match[1], columns: new Map(), unique: [], rows: [], nextId: 1 };
+    for (const part of splitTopLevel(match[2])) {
+      const constraint = part.match(/^(UNIQUE|PRIMARY KEY)\s*\(([^)]+)\)/i);
+      if (constraint) {
+        table.unique.push(constraint[2].split(',').map((c) => c.trim()));
+        continue;
+      }
+      const column = parseColumn(part);
+      table.columns.set(column.name, column);
+      if (/\bPRIMARY KEY\b/i.test(part)) table.unique.unshift([column.name]);
+      else if (/\bUNIQUE\b/i.test(part)) table.unique.push([column.name]);
+    }
+    tables.set(table.name, table);
+  }
+
+  for (const match of source.matchAll(/ALTER TABLE\s+(\w+)\s+ADD COLUMN(?: IF NOT EXISTS)?\s+([^;]+);/gi)) {
+    const table = tables.get(match[1]);
+    if (!table) throw new Error(`supabase_setup.sql alters unknown table ${match[1]}`);
+    const column = parseColumn(match[2].trim());
+    table.columns.set(column.name, column);
+    if (/\bUNIQUE\b/i.test(match[2])) table.unique.push([column.name]);
+  }
+
+  return tables;
+}
+
+class RestError extends Error {
+  status: number;
+  code: string;
+
+  constructor(status: number, code: string, message: string) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// PostgREST compares in the column's type; timestamps arrive in more than one ISO flavour
+function compare(a: unknown, b: unknown) {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  const [x, y] = [String(a), String(b)];
+  if (/^\d{4}-\d{2}-\d{2}/.test(x) && /^\d{4}-\d{2}-\d{2}/.test(y)) return Date.parse(x) - Date.parse(y);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function parseLiteral(value: string) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+function matchesFilter(row: Row, column: string, expression: string): boolean {
+  if (expression.startsWith('not.')) return !matchesFilter(row, column, expression.slice(4));
+
+  const dot = expression.indexOf('.');
+  const op = expression.slice(0, dot);
+  const value = expression.slice(dot + 1);
+  const cell = row[column] ?? null;
+
+  switch (op) {
+    case 'eq': return cell !== null && compare(cell, value) === 0;
+    case 'neq': return cell !== null && compare(cell, value) !== 0;
+    case 'gt': return cell !== null && compare(cell, value) > 0;
+    case 'gte': return cell !== null && compare(cell, value) >= 0;
+    case 'lt': return cell !== null && compare(cell, value) < 0;
+    case 'lte': return cell !== null && compare(cell, value) <= 0;
+    case 'is': return cell === parseLiteral(value);
+    case 'in': {
+      const list = value.replace(/^\(|\)$/g, '').split(',').map((v) => v.replace(/^"|"$/g, ''));
+      return cell !== null && list.some((v) => compare(cell, v) === 0);
+    }
+    case 'like':
+    case 'ilike': {
+      const pattern = new RegExp(`^${value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*')}$`, op === 'ilike' ? 'i' : '');
+      return cell !== null && pattern.test(String(cell));
+    }
+    default:
+      throw new RestError(400, 'PGRST100', `Unsupported operator '${op}' in the stand-in`);
+  }
+}
+
+function applyOrder(rows: Row[], order: string | null) {
+  if (!order) return rows;
+  const keys = order.split(',').map((part) => {
+    const [column, ...modifiers] = part.split('.');
+    const desc = modifiers.includes('desc');
+    // Postgres puts NULLs last ascending and first descending unless told otherwise
+    const nullsFirst = modifiers.includes('nullsfirst') || (desc && !modifiers.includes('nullslast'));
+    return { column, desc, nullsFirst };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, desc, nullsFirst } of keys) {
+      const [x, y] = [a[column] ?? null, b[column] ?? null];
+      if (x === null && y === null) continue;
+      if (x === null) return nullsFirst ? -1 : 1;
+      if (y === null) return nullsFirst ? 1 : -1;
+      const result = compare(x, y);
+      if (result !== 0) return desc ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function project(row: Row, select: string | null) {
+  if (!select || select === '*') return { ...row };
+  return Object.fromEntries(select.split(',').map((column) => [column, row[column] ?? null]));
+}
+
+function checkColumns(table: Table, row: Row) {
+  for (const column of Object.keys(row)) {
+    if (!table.columns.has(column)) {
+      throw new RestError(400, 'PGRST204', `Could not find the '${column}' column of '${table.name}' in the schema cache`);
+    }
+  }
+}
+
+function checkConstraints(table: Table, row: Row, others: Row[]) {
+  for (const column of table.columns.values()) {
+    if (column.notNull && (row[column.name] === null || row[column.name] === undefined)) {
+      throw new RestError(400, '23502', `null value in column "${column.name}" of relation "${table.name}" violates not-null constraint`);
+    }
+  }
+  for (const columns of table.unique) {
+    const clash = others.find((other) => columns.every((c) => other[c] !== null && other[c] !== undefined && other[c] === row[c]));
+    if (clash) {
+      throw new RestError(409, '23505', `duplicate key value violates unique constraint "${table.name}_${columns.join('_')}_key"`);
+    }
+  }
+}
+
+function withDefaults(table: Table, values: Row) {
+  const row: Row = {};
+  for (const column of table.columns.values()) {
+    if (values[column.name] !== undefined) row[column.name] = values[column.name];
+    else if (column.identity) row[column.name] = table.nextId++;
+    else row[column.name] = column.defaultValue ? column.defaultValue() : null;
+  }
+  if (typeof row.id === 'number' && row.id >= table.nextId) table.nextId = row.id + 1;
+  return row;
+}
+
+async function readBody(req: http.IncomingMessage) {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) chunks.push(chunk as Buffer);
+  return Buffer.concat(chunks);
+}
+
+function handleRest(schema: Map<string, Table>, method: string, tableName: string, params: URLSearchParams, headers: http.IncomingHttpHeaders, body: Buffer) {
+  const table = schema.get(tableName);
+  if (!table) throw new RestError(404, '42P01', `relation "public.${tableName}" does not exist`);
+
+  const reserved = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns']);
+  const filters = [...params.entries()].filter(([key]) => !reserved.has(key));
+  const matching = () => table.rows.filter((row) => filters.every(([column, expression]) => matchesFilter(row, column, expression)));
+  const prefer = String(headers.prefer || '');
+  const wantsRows = prefer.includes('return=representation');
+
+  if (method === 'GET' || method === 'HEAD') {
+    const offset = Number(params.get('offset') || 0);
+    const limit = params.has('limit') ? Number(params.get('limit')) : Infinity;
+    const rows = applyOrder(matching(), params.get('order')).slice(offset, offset + limit).map((row) => project(row, params.get('select')));
+    return { status: 200, rows };
+  }
+
+  if (method === 'POST') {
+    const payload = JSON.parse(body.toString() || '[]');
+    const incoming: Row[] = Array.isArray(payload) ? payload : [payload];
+    const merge = prefer.includes('resolution=merge-duplicates');
+    const conflictColumns = (params.get('on_conflict') || table.unique[0]?.join(',') || '').split(',').filter(Boolean);
+    const written: Row[] = [];
+
+    for (const values of incoming) {
+      checkColumns(table, values);
+      const existing = merge ? table.rows.find((row) => conflictColumns.every((c) => row[c] === values[c])) : null;
+      if (existing) {
+        const updated = { ...existing, ...values };
+        checkConstraints(table, updated, table.rows.filter((row) => row !== existing));
+        Object.assign(existing, updated);
+        written.push(existing);
+      } else {
+        const row = withDefaults(table, values);
+        checkConstraints(table, row, table.rows);
+        table.rows.push(row);
+        written.push(row);
+      }
+    }
+    return { status: 201, rows: wantsRows ? written.map((row) => project(row, params.get('select'))) : null };
+  }
+
+  if (method === 'PATCH') {
+    const values = JSON.parse(body.toString() || '{}');
+    checkColumns(table, values);
+    const rows = matching();
+    for (const row of rows) {
+      const updated = { ...row, ...values };
+      checkConstraints(table, updated, table.rows.filter((other) => other !== row));
+      Object.assign(row, updated);
+    }
+    return { status: wantsRows ? 200 : 204, rows: wantsRows ? rows.map((row) => project(row, params.get('select'))) : null };
+  }
+
+  if (method === 'DELETE') {
+    const rows = matching();
+    for (const row of rows) table.rows.splice(table.rows.indexOf(row), 1);
+    return { status: wantsRows ? 200 : 204, rows: wantsRows ? rows : null };
+  }
+
+  throw new RestError(405, 'PGRST105', `Method ${method} not supported by the stand-in`);
+}
+
+/**
+ * Starts the stand-in on a free local port, seeded with `seed` (rows per table; defaults are filled in).
+ */
+export async function startStandin(seed: Record<string, Row[]> = {}): Promise<Standin> {
+  const schema = loadSchema();
+  for (const [name, rows] of Object.entries(seed)) {
+    const table = schema.get(name);
+    if (!table) throw new Error(`Seed data for unknown table ${name}`);
+    for (const values of rows) {
+      checkColumns(table, values);
+      table.rows.push(withDefaults(table, structuredClone(values)));
+    }
+  }
+
+  const generatedImage = await sharp({ create: { width: 1024, height: 1024, channels: 3, background: '#ff00aa' } }).png().toBuffer();
+  const storage = new Map<string, StoredObject>();
+  const requests: string[] = [];
+
+  const standin: Standin = {
+    url: '',
+    tables: Object.fromEntries([...schema.values()].map((table) => [table.name, table.rows])),
+    storage,
+    requests,
+    failGenerator: 0,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url || '/', 'http://standin');
+    const method = req.method || 'GET';
+    requests.push(`${method} ${decodeURIComponent(url.pathname + url.search)}`);
+    const body = await readBody(req);
+
+    const send = (status: number, payload?: unknown, contentType = 'application/json') => {
+      res.statusCode = status;
+      if (payload === undefined || payload === null) return res.end();
+      res.setHeader('content-type', contentType);
+      res.end(Buffer.isBuffer(payload) ? payload : JSON.stringify(payload));
+    };
+
+    try {
+      const rest = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+      if (rest) {
+        const { status, rows } = handleRest(schema, method, rest[1], url.searchParams, req.headers, body);
+
+        if (String(req.headers.accept || '').includes('application/vnd.pgrst.object+json')) {
+          if (!rows || rows.length !== 1) {
+            return send(406, { code: 'PGRST116', details: `The result contains ${rows?.length ?? 0} rows`, hint: null, message: 'JSON object requested, multiple (or no) rows returned' });
+          }
+          return send(status === 201 ? 201 : 200, rows[0]);
+        }
+        return send(status, rows);
+      }
+
+      const upload = url.pathname.match(/^\/storage\/v1\/object\/(?!public\/)(.+)$/);
+      if (upload && method === 'POST') {
+        const key = decodeURIComponent(upload[1]);
+        if (storage.has(key) && req.headers['x-upsert'] !== 'true') {
+          return send(400, { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' });
+        }
+        storage.set(key, { contentType: String(req.headers['content-type'] || 'application/octet-stream'), body });
+        return send(200, { Key: key, Id: randomUUID() });
+      }
+
+      const download = url.pathname.match(/^\/storage\/v1\/object\/public\/(.+)$/);
+      if (download && method === 'GET') {
+        const object = storage.get(decodeURIComponent(download[1]));
+        return object ? send(200, object.body, object.contentType) : send(404, { statusCode: '404', error: 'not_found', message: 'Object not found' });
+      }
+
+      if (url.pathname.startsWith('/generator/') && method === 'GET') {
+        if (standin.failGenerator > 0) {
+          standin.failGenerator--;
+          return send(502, { error: 'generator node down' });
+        }
+        return send(200, generatedImage, 'image/png');
+      }
+
+      send(404, { message: `No stand-in route for ${method} ${url.pathname}` });
+    } catch (err) {
+      if (err instanceof RestError) return send(err.status, { code: err.code, message: err.message, details: null, hint: null });
+      send(500, { message: (err as Error).message });
+    }
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', () => resolve()));
+  standin.url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  return standin;
+}
@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+import { getPostImageUrl, getPostGenerativeUrl, getPostImageSrcsets, getStorageUrl } from '../../src/lib/utils';
+
+const SUPABASE_URL = 'https://abcd1234.supabase.co';
+const STORAGE = `${SUPABASE_URL}/storage/v1/object/public/blog-images`;
+
+test.describe('getPostImageUrl fallbacks', () => {
+  test('a file name in image_url resolves to the storage bucket', () => {
+    expect(getPostImageUrl({ slug: 'pit-report', title: 'Pit Report', image_url: 'pit-report-1700000000.png' }, SUPABASE_URL))
+      .toBe(`${STORAGE}/pit-report-1700000000.png`);
+  });
+
+  test('without image_url the slug is used as the file name', () => {
+    expect(getPostImageUrl({ slug: 'pit-report', title: 'Pit Report', image_url: null }, SUPABASE_URL)).toBe(`${STORAGE}/pit-report.png`);
+  });
+
+  test('a full URL is returned untouched', () => {
+    const url = 'https://cdn.example.org/shots/pit.png';
+    expect(getPostImageUrl({ slug: 'pit-report', title: 'Pit Report', image_url: url }, SUPABASE_URL)).toBe(url);
+  });
+
+  test('a URL on the placeholder project is repaired to the configured host', () => {
+    const url = 'https://your-project-id.supabase.co/storage/v1/object/public/blog-images/pit.png';
+    expect(getPostImageUrl({ slug: 'pit-report', title: 'Pit Report', image_url: url }, SUPABASE_URL)).toBe(`${STORAGE}/pit.png`);
+  });
+
+  test('without a Supabase project the generative URL is the last resort', () => {
+    const post = { slug: 'pit-report', title: 'Pit Report', image_url: 'pit-report.png' };
+    expect(getPostImageUrl(post, null)).toBe(getPostGenerativeUrl(post));
+    expect(getPostImageUrl(post, 'https://your-project-id.supabase.co')).toBe(getPostGenerativeUrl(post));
+    expect(getPostGenerativeUrl(post)).toContain(encodeURIComponent('Pit Report'));
+  });
+
+  test('no post at all gets the static noise placeholder', () => {
+    expect(getPostImageUrl(null, SUPABASE_URL)).toBe(getPostGenerativeUrl(null));
+    expect(getPostGenerativeUrl(null)).toContain('static%20noise');
+  });
+
+  test('storage URLs tolerate a trailing slash on the project URL', () => {
+    expect(getStorageUrl('a.png', `${SUPABASE_URL}/`)).toBe(`${STORAGE}/a.png`);
+    expect(getStorageUrl('a.png', null)).toBeNull();
+  });
+});
+
+test.describe('getPostImageSrcsets', () => {
+  test('groups variants per format, smallest first', () => {
+    const post = {
+      image_variants: [
+        { file: 'a-1024.webp', width: 1024, format: 'webp' as const },
+        { file: 'a-320.avif', width: 320, format: 'avif' as const },
+        { file: 'a-320.webp', width: 320, format: 'webp' as const },
+      ],
+    };
+    expect(getPostImageSrcsets(post, SUPABASE_URL)).toEqual({
+      avif: `${STORAGE}/a-320.avif 320w`,
+      webp: `${STORAGE}/a-320.webp 320w, ${STORAGE}/a-1024.webp 1024w`,
+    });
+  });
+
+  test('posts without variants, or without a Supabase project, fall back to the single image', () => {
+    expect(getPostImageSrcsets({ image_variants: null }, SUPABASE_URL)).toEqual({});
+    expect(getPostImageSrcsets({ image_variants: [{ file: 'a-320.avif', width: 320, format: 'avif' }] }, null)).toEqual({});
+  });
+});
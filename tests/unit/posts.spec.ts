@@ -0,0 +1,52 @@
+import { test, expect } from '@playwright/test';
+import { injectPost } from '../../pipeline/posts.js';
+
+// Just enough of the supabase-js query builder for findAvailableSlug + insert.
+// `racedBy` is a slug another run claims between our lookup and our insert.
+function fakeClient(existing: string[], { racedBy = null as string | null } = {}) {
+  const slugs = new Set(existing);
+  const inserted: Record<string, any>[] = [];
+  let raced = false;
+
+  const client = {
+    from: () => ({
+      select: () => ({
+        like: async (_column: string, pattern: string) => ({
+          data: [...slugs].filter((slug) => slug.startsWith(pattern.replace(/%$/, ''))).map((slug) => ({ slug })),
+          error: null,
+        }),
+      }),
+      insert: async ([row]: Record<string, any>[]) => {
+        if (racedBy && !raced) {
+          raced = true;
+          slugs.add(racedBy);
+        }
+        if (slugs.has(row.slug)) return { error: { code: '23505', message: 'duplicate key value violates unique constraint "posts_slug_key"' } };
+        slugs.add(row.slug);
+        inserted.push(row);
+        return { error: null };
+      },
+    }),
+  };
+  return { client, inserted };
+}
+
+test.describe('injectPost', () => {
+  test('a free slug is used as is', async () => {
+    const { client, inserted } = fakeClient([]);
+    expect((await injectPost(client, { slug: 'pit-report' })).slug).toBe('pit-report');
+    expect(inserted.map((row) => row.slug)).toEqual(['pit-report']);
+  });
+
+  test('a taken slug gets the next free suffix', async () => {
+    const { client } = fakeClient(['pit-report', 'pit-report-2']);
+    expect((await injectPost(client, { slug: 'pit-report' })).slug).toBe('pit-report-3');
+  });
+
+  test('losing the insert race re-resolves from the requested slug', async () => {
+    // The lookup picks pit-report-2, another run inserts it first, the insert returns 23505
+    const { client, inserted } = fakeClient(['pit-report'], { racedBy: 'pit-report-2' });
+    expect((await injectPost(client, { slug: 'pit-report' })).slug).toBe('pit-report-3');
+    expect(inserted.map((row) => row.slug)).toEqual(['pit-report-3']);
+  });
+});
@@ -0,0 +1,18 @@
+import { test, expect } from '@playwright/test';
+import { getCategoryDelayDays, checkDelayConfig, DEFAULT_PUBLISH_DELAY_DAYS } from '../../pipeline/schedule.js';
+
+test.describe('publish delay config', () => {
+  test('a category variable wins over the global one, which wins over the default', () => {
+    const env = { PUBLISH_DELAY_DAYS: '3', PUBLISH_DELAY_DAYS_DEEP_TRACE: '0' };
+    expect(getCategoryDelayDays('deep-trace', env)).toBe(0);
+    expect(getCategoryDelayDays('news', env)).toBe(3);
+    expect(getCategoryDelayDays('news', {})).toBe(DEFAULT_PUBLISH_DELAY_DAYS);
+  });
+
+  test('invalid values are refused with the variable name', () => {
+    expect(() => getCategoryDelayDays('news', { PUBLISH_DELAY_DAYS_NEWS: 'soon' })).toThrow(/PUBLISH_DELAY_DAYS_NEWS: Invalid delay 'soon'/);
+    expect(() => checkDelayConfig({ PUBLISH_DELAY_DAYS_REVIEWS: '-1' })).toThrow(/PUBLISH_DELAY_DAYS_REVIEWS/);
+    expect(() => checkDelayConfig({ PUBLISH_DELAY_DAYS: '1.5' })).toThrow(/PUBLISH_DELAY_DAYS: /);
+    expect(() => checkDelayConfig({ PUBLISH_DELAY_DAYS_NEWS: '2', OTHER: 'x' })).not.toThrow();
+  });
+});
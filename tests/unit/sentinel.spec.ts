@@ -0,0 +1,60 @@
+import { test, expect } from '@playwright/test';
+import { validateSentinelOutput, parseIntegrityScore } from '../../pipeline/sentinel.js';
+
+const reply = (fields: Record<string, unknown> = {}) => ({
+  ai_writer: 'AXEL_WIRE',
+  ai_editor: 'SENTINEL_v4.2',
+  category: 'news',
+  title: 'Pit Report',
+  slug: 'pit-report',
+  summary: 'The pit opened at midnight.',
+  system_alert: '[SYSTEM ALERT // SENTINEL v4.2]\n\nIntegrity Scan: 87%. Status nominal.',
+  editorial_note: 'Logic scan complete.',
+  seo_keywords: ['punk'],
+  content: '# PIT REPORT',
+  ...fields,
+});
+
+// writer and category have no defaults in the JS signature, so the checker can't see them
+const expected: Record<string, any> = { writer: 'AXEL_WIRE', category: 'news' };
+
+test.describe('validateSentinelOutput', () => {
+  test('keeps the OUTPUT_SCHEMA fields and adds the integrity score', () => {
+    const { value, errors, repairs } = validateSentinelOutput(reply(), expected);
+    expect(errors).toEqual([]);
+    expect(repairs).toEqual([]);
+    expect(value).toEqual({ ...reply(), integrity_score: 87 });
+  });
+
+  test('drops fields outside the schema so they never reach the posts insert', () => {
+    const { value, errors, repairs } = validateSentinelOutput(
+      reply({ id: 42, image_url: 'https://evil.example/x.png', source_url: 'javascript:alert(1)', series_slug: 'hijack', response_to: 'other-post' }),
+      expected
+    );
+    expect(errors).toEqual([]);
+    for (const key of ['id', 'image_url', 'source_url', 'series_slug', 'response_to']) expect(value).not.toHaveProperty(key);
+    expect(repairs).toContain('unknown field(s) dropped: id, image_url, source_url, series_slug, response_to');
+  });
+
+  test('citations are only kept for source-grounded runs', () => {
+    const citations = [{ claim: 'The pit opened at midnight.', evidence: 'midnight', status: 'supported' }];
+
+    const ungrounded = validateSentinelOutput(reply({ citations }), expected);
+    expect(ungrounded.value).not.toHaveProperty('citations');
+    expect(ungrounded.repairs).toContain('unknown field(s) dropped: citations');
+
+    const grounded = validateSentinelOutput(reply({ citations }), { ...expected, requireCitations: true });
+    expect(grounded.errors).toEqual([]);
+    expect(grounded.value!.citations).toEqual(citations);
+  });
+});
+
+test('the integrity score is read with or without a percent sign', () => {
+  expect(parseIntegrityScore('Integrity Scan: 87%. Status nominal.')).toBe(87);
+  expect(parseIntegrityScore('INTEGRITY_SCAN: 91.5 // Status nominal.')).toBe(91.5);
+  expect(parseIntegrityScore('Status nominal.')).toBeNull();
+
+  const { errors, value } = validateSentinelOutput(reply({ system_alert: '[SYSTEM ALERT // SENTINEL v4.2]\n\nIntegrity Scan: 64. Drift detected.' }), expected);
+  expect(errors).toEqual([]);
+  expect(value!.integrity_score).toBe(64);
+});
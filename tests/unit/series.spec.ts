@@ -0,0 +1,29 @@
+import { test, expect } from '@playwright/test';
+import { groupSeries, getSeriesNeighbours } from '../../src/lib/series';
+import type { Post } from '../../src/lib/supabase';
+
+const part = (n: number) => ({
+  slug: `ghost-recordings-${n}`,
+  title: `Ghost Recordings ${n}`,
+  ai_writer: 'PATCH',
+  series_slug: 'ghost-recordings',
+  series_title: 'Ghost Recordings',
+  series_part: n,
+  published_at: `2026-03-0${n}T00:00:00.000Z`,
+}) as Post;
+
+test.describe('groupSeries', () => {
+  test('orders the live parts and counts up to the highest one', () => {
+    const [series] = groupSeries([part(2), part(1), part(3)]);
+    expect(series.parts.map((p) => p.series_part)).toEqual([1, 2, 3]);
+    expect(series.latestPart).toBe(3);
+  });
+
+  test('a part still scheduled leaves a gap but not a smaller total', () => {
+    // Part 2 is not out yet: part 3 must read "PART 3 OF 3", not "OF 2"
+    const [series] = groupSeries([part(1), part(3)]);
+    expect(series.parts).toHaveLength(2);
+    expect(series.latestPart).toBe(3);
+    expect(getSeriesNeighbours(series, part(3)).previous?.series_part).toBe(1);
+  });
+});
@@ -0,0 +1,30 @@
+import { test, expect } from '@playwright/test';
+import { parseSources, pickSource, isHttpUrl } from '../../pipeline/sources.js';
+
+test.describe('source links', () => {
+  test('only http(s) URLs are citable', () => {
+    expect(isHttpUrl('https://scene.example/report')).toBe(true);
+    expect(isHttpUrl('http://scene.example/report')).toBe(true);
+    for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,<b>hi</b>', 'ftp://scene.example', 'not a url']) {
+      expect(isHttpUrl(url), url).toBe(false);
+    }
+  });
+
+  test('feed items with another scheme lose their link and are never picked', () => {
+    const json = JSON.stringify({ items: [
+      { url: 'javascript:alert(1)', title: 'Hostile', content_text: 'Text.', date_published: '2026-03-02' },
+      { url: 'https://scene.example/report', title: 'Report', content_text: 'Text.', date_published: '2026-03-01' },
+    ] });
+    const items = parseSources(json);
+    expect(items.map((item: { url: string | null }) => item.url)).toEqual([null, 'https://scene.example/report']);
+    expect(pickSource(items)!.title).toBe('Report');
+  });
+
+  test('RSS and Atom links are checked too', () => {
+    const rss = '<rss><channel><item><title>A</title><link>data:text/html,hi</link><description>D</description></item></channel></rss>';
+    const atom = '<feed><entry><title>B</title><link href="javascript:alert(1)"/><summary>S</summary></entry></feed>';
+    expect(parseSources(rss)[0].url).toBeNull();
+    expect(parseSources(atom)[0].url).toBeNull();
+    expect(pickSource([...parseSources(rss), ...parseSources(atom)])).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+import { test, expect } from '@playwright/test';
+import { parseSystemAlert } from '../../src/lib/utils';
+
+test.describe('parseSystemAlert', () => {
+  test('empty alert yields no fields', () => {
+    expect(parseSystemAlert(undefined)).toEqual({ integrity: undefined, factCheck: undefined, action: undefined, analysis: undefined });
+    expect(parseSystemAlert('')).toEqual({ integrity: undefined, factCheck: undefined, action: undefined, analysis: undefined });
+  });
+
+  test('splits the SENTINEL block written by newsroom.js', () => {
+    const parsed = parseSystemAlert('[SYSTEM ALERT // SENTINEL v4.2]\n\nIntegrity Scan: 87%. Status nominal. \nFact-Check: Venue and lineup consistent with the 2026 timeline.');
+    expect(parsed.integrity).toBe(87);
+    expect(parsed.factCheck).toBe('Venue and lineup consistent with the 2026 timeline.');
+    expect(parsed.action).toBe('Status nominal.');
+    expect(parsed.analysis).toBeUndefined();
+  });
+
+  test('accepts decimals, underscores and a bare header', () => {
+    expect(parseSystemAlert('[SYSTEM ALERT] INTEGRITY_SCAN: 64.5% FACT-CHECK: Unverified.').integrity).toBe(64.5);
+    expect(parseSystemAlert('[SYSTEM ALERT // SENTINEL_v4.2] Integrity Scan: 12').integrity).toBe(12);
+  });
+
+  test('reads every marker', () => {
+    const parsed = parseSystemAlert('Integrity Scan: 70%. ANALYSIS: Bias toward the headliner. FACT-CHECK: Date confirmed. ACTION: Flag for review.');
+    expect(parsed).toEqual({
+      integrity: 70,
+      factCheck: 'Date confirmed.',
+      analysis: 'Bias toward the headliner.',
+      action: 'Flag for review.',
+    });
+  });
+
+  test('NOTE is read as the action', () => {
+    expect(parseSystemAlert('Integrity Scan: 99%. NOTE: Archive copy only.').action).toBe('Archive copy only.');
+  });
+
+  test('unstructured text falls through as the action', () => {
+    expect(parseSystemAlert('Signal degraded beyond repair.')).toEqual({
+      integrity: undefined,
+      factCheck: undefined,
+      analysis: undefined,
+      action: 'Signal degraded beyond repair.',
+    });
+  });
+});
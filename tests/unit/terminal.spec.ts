@@ -0,0 +1,110 @@
+import { test, expect } from '@playwright/test';
+import { runCommand, COMMANDS_HELP, type TerminalContext } from '../../src/lib/terminal';
+import type { PipelineRun } from '../../src/lib/supabase';
+
+const WHOIS = [{ aliases: ['axel', 'axel_wire'], line: 'AXEL_WIRE: Field reporter.' }];
+
+const RUNS: PipelineRun[] = [
+  {
+    id: 'b', script: 'visualizer', persona: null, outcome: 'failed',
+    started_at: '2026-03-02T08:05:00.000Z', finished_at: '2026-03-02T08:06:00.000Z', duration_ms: 60000,
+    token_usage: null, retries: { generator: 3 },
+  },
+  {
+    id: 'a', script: 'newsroom', persona: 'AXEL_WIRE', outcome: 'success',
+    started_at: '2026-03-02T08:00:00.000Z', finished_at: '2026-03-02T08:00:12.400Z', duration_ms: 12400,
+    token_usage: { calls: 2, prompt: 1800, output: 900, total: 2700 }, retries: {},
+  },
+];
+
+// Runs one command and collects what it printed
+async function terminal(cmd: string, runs: PipelineRun[] = []) {
+  const lines: string[] = [];
+  const limits: (number | undefined)[] = [];
+  const ctx: TerminalContext = {
+    whois: WHOIS,
+    getRecentRuns: async (limit) => {
+      limits.push(limit);
+      return runs;
+    },
+    print: (line) => lines.push(line),
+    now: () => new Date('2026-03-02T09:30:15.123Z'),
+    wait: async () => {},
+  };
+  const effect = await runCommand(cmd, ctx);
+  return { lines, effect, limits };
+}
+
+test.describe('TerminalCLI commands', () => {
+  test('help lists the commands', async () => {
+    expect((await terminal('help')).lines).toEqual([COMMANDS_HELP]);
+  });
+
+  test('input is case-insensitive', async () => {
+    expect((await terminal('  HELP ')).lines).toEqual([COMMANDS_HELP]);
+  });
+
+  test('exit, clear and sudo panic hand their effect to the component', async () => {
+    expect(await terminal('exit')).toMatchObject({ effect: 'exit', lines: [] });
+    expect(await terminal('clear')).toMatchObject({ effect: 'clear', lines: [] });
+    expect(await terminal('sudo panic')).toMatchObject({ effect: 'panic', lines: ['CRITICAL_SYSTEM_ERROR: TRIGGERING PANIC PROTOCOL...'] });
+    expect(await terminal('sudo rm')).toMatchObject({ effect: null, lines: ['ERROR: PERMISSION_DENIED'] });
+  });
+
+  test('date prints the stardate', async () => {
+    expect((await terminal('date')).lines).toEqual(['STARDATE: 2026-03-02 09:30:15']);
+  });
+
+  test('clearance reports guest access', async () => {
+    expect((await terminal('clearance')).lines[0]).toContain('[GUEST_READ_ONLY]');
+  });
+
+  test('whois looks up persona aliases', async () => {
+    expect((await terminal('whois axel')).lines).toEqual(['AXEL_WIRE: Field reporter.']);
+    expect((await terminal('whois AXEL_WIRE')).lines).toEqual(['AXEL_WIRE: Field reporter.']);
+    expect((await terminal('whois nobody')).lines).toEqual(['ERROR: SUBJECT NOT FOUND IN DATABASE.']);
+  });
+
+  test('list_nodes prints the node table', async () => {
+    const { lines } = await terminal('list_nodes');
+    expect(lines).toHaveLength(5);
+    expect(lines[0]).toBe('FETCHING_LATEST_SIGNAL_NODES...');
+    expect(lines[3]).toBe('3. [NODE_VAULT] :: status:ENCRYPTED');
+  });
+
+  test('status summarizes the last 20 pipeline runs', async () => {
+    const { lines, limits } = await terminal('status', RUNS);
+    expect(limits).toEqual([20]);
+    expect(lines).toHaveLength(1);
+    expect(lines[0].split('<br/>')).toEqual([
+      'SYSTEM_STATUS: [DEGRADED]',
+      'VISUALIZER: [FAILED] @ 2026-03-02 08:05',
+      'NEWSROOM: [SUCCESS] @ 2026-03-02 08:00',
+      'SUCCESS_RATE: 50% (LAST 2 RUNS)',
+      'TOKENS_BURNED: 2.7k',
+    ]);
+  });
+
+  test('status falls back to the canned readout without run history', async () => {
+    expect((await terminal('status')).lines[0]).toMatch(/^SYSTEM_STATUS: \[OPERATIONAL\]<br\/>CPU_LOAD/);
+  });
+
+  test('logs prints one line per run', async () => {
+    const { lines } = await terminal('logs', RUNS);
+    expect(lines).toEqual([
+      'RETRIEVING_SYSTEM_LOGS...',
+      '[FAIL] 2026-03-02 08:05 VISUALIZER :: failed 60.0s 3 retries',
+      '[OK] 2026-03-02 08:00 NEWSROOM // AXEL_WIRE :: success 12.4s 2.7k tok',
+    ]);
+  });
+
+  test('logs falls back to the canned entries without run history', async () => {
+    const { lines } = await terminal('logs');
+    expect(lines).toHaveLength(6);
+    expect(lines[1]).toMatch(/^\[OK\]/);
+  });
+
+  test('unknown commands are reported, escaped', async () => {
+    expect((await terminal('<b>rm</b>')).lines).toEqual(["ERROR: COMMAND '&#60;b&#62;rm&#60;/b&#62;' NOT RECOGNIZED."]);
+  });
+});
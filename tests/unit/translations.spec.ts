@@ -0,0 +1,12 @@
+import { test, expect } from '@playwright/test';
+import { parseTranslation } from '../../pipeline/translations.js';
+import { SUMMARY_MAX_LENGTH } from '../../pipeline/sentinel.js';
+
+test('a translated summary is cut to the same length as the original ones', () => {
+  const summary = 'El pit se abrió a medianoche y no cerró hasta el amanecer, '.repeat(5);
+  const translation = parseTranslation(JSON.stringify({ title: 'Frecuencias', summary, content: '# FRECUENCIAS' }));
+  expect(translation.summary.length).toBeLessThanOrEqual(SUMMARY_MAX_LENGTH);
+  expect(summary.startsWith(translation.summary.slice(0, -1))).toBe(true);
+
+  expect(parseTranslation(JSON.stringify({ title: 'T', summary: ' Corto. ', content: 'C' })).summary).toBe('Corto.');
+});
@@ -1,43 +1,58 @@
 // visualizer.js
 import 'dotenv/config';
 import { createClient } from '@supabase/supabase-js';
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import fetch from 'node-fetch';
+import minimist from 'minimist';
+import { getAgent } from './pipeline/llm.js';
+import { getPersona } from './pipeline/personas.js';
+import { buildImageSet } from './pipeline/images.js';
+import { createCircuitBreaker } from './pipeline/breaker.js';
+import { JOB_STATUS, MAX_JOB_ATTEMPTS, classifyJobs, failedJobUpdate, runPool } from './pipeline/jobs.js';
+import { startRun } from './pipeline/runlog.js';
 
 // 1. SETUP CLIENTS
-const googleApiKey = process.env.GOOGLE_API_KEY;
 const pollinationApiKey = process.env.POLLINATION_API_KEY;
+// gen.pollinations.ai for authenticated requests, otherwise image.pollinations.ai. IMAGE_GENERATOR_URL overrides both (e.g. the test stand-in).
+const generatorUrl = process.env.IMAGE_GENERATOR_URL || (pollinationApiKey ? 'https://gen.pollinations.ai/image' : 'https://image.pollinations.ai/prompt');
 const supabaseUrl = process.env.PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY || process.env.PUBLIC_SUPABASE_ANON_KEY || process.env.SUPABASE_KEY;
 
-if (!supabaseUrl || !supabaseKey || !googleApiKey || supabaseUrl.includes('your-project-id.supabase.co')) {
-    console.error("> FATAL ERROR: Missing or placeholder environment variables (GOOGLE_API_KEY, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY/ANON_KEY)");
+// GOOGLE_API_KEY is checked by the LLM provider layer, only when the director actually runs on Gemini.
+if (!supabaseUrl || !supabaseKey || supabaseUrl.includes('your-project-id.supabase.co')) {
+    console.error("> FATAL ERROR: Missing or placeholder environment variables (SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY/ANON_KEY)");
     process.exit(1);
 }
 
 const supabase = createClient(supabaseUrl, supabaseKey);
-const genAI = new GoogleGenerativeAI(googleApiKey);
 
-const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
-
-const PERSONA_VISUALS = {
-    "AXEL_WIRE": {
-        model: "zimage",
-        modifier: "motion blur, aggressive neon contrast, punk zine aesthetic, raw flash photography"
-    },
-    "V3RA_L1GHT": {
-        model: "klein-large",
-        modifier: "ethereal bokeh, soft cyan/violet glow, cinematic depth of field, high fidelity"
-    },
-    "R3-CORD": {
-        model: "imagen-4",
-        modifier: "35mm film grain, desaturated, forensic lighting, archival document scan"
-    },
-    "PATCH": {
-        model: "flux",
-        modifier: "heavy datamosh, 8-bit artifacts, scanlines, CRT monitor curvature, analog noise"
-    }
+// 🎬 THE VISUAL DIRECTOR AGENT
+const ISO_GHO5T_DIRECTOR = {
+    provider: "gemini",
+    model: "gemini-2.5-flash"
 };
+let directorAgent = null; // Bound to its backend on boot
+let run = null; // pipeline/runlog.js record for this invocation
+
+// Every fatal path goes through here so the run is recorded before the process dies
+async function abort(error, details = {}) {
+    if (run) await run.finish('failed', { error, ...details });
+    process.exit(1);
+}
+
+const args = minimist(process.argv.slice(2));
+const applyFilter = args.filter || process.env.ISO_GHO5T_FILTER === 'crt'; // Local CRT/dither pass over every variant
+const concurrency = Math.max(1, parseInt(args.concurrency ?? 2, 10) || 1); // Jobs in flight
+const limit = Math.max(1, parseInt(args.limit ?? 10, 10) || 1); // Jobs per run
+const maxAttempts = Math.max(1, parseInt(args['max-attempts'] ?? MAX_JOB_ATTEMPTS, 10) || 1); // Before a job is abandoned
+const BUCKET_NAME = 'blog-images';
+
+// ⚡ GENERATOR CIRCUIT BREAKER: shared by every job in the run, so one dead model is skipped batch-wide
+const breaker = createCircuitBreaker({
+    threshold: Math.max(1, parseInt(args['breaker-threshold'] ?? 2, 10) || 2), // NaN would never open a circuit
+    cooldownMs: Math.max(1, parseInt(args['breaker-cooldown'] ?? 120, 10) || 120) * 1000
+});
+
+const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
 
 // 🎨 ISO_GHO5T STYLE MATRIX (Global defaults)
 const ISO_GHO5T_STYLE = [
@@ -52,9 +67,7 @@ const ISO_GHO5T_STYLE = [
 
 async function generateVisualPrompt(post) {
     console.log(`> CONSULTING VISUAL DIRECTOR FOR: "${post.title}" [WRITER: ${post.ai_writer}]...`);
-    const directorModel = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
-    const config = PERSONA_VISUALS[post.ai_writer] || { model: "flux", modifier: "Standard cyberpunk neon palette (green, purple, cyan, deep black)." };
+    const config = getPersona(post.ai_writer)?.visual || { model: "flux", modifier: "Standard cyberpunk neon palette (green, purple, cyan, deep black)." };
     const specificStyle = config.modifier;
 
     const directorPrompt = `
@@ -72,162 +85,330 @@ async function generateVisualPrompt(post) {
     `;
 
     try {
-        const result = await directorModel.generateContent(directorPrompt);
-        return result.response.text().trim();
+        const { text, model } = await directorAgent.generate(directorPrompt);
+        return { text: text.trim(), director: `${directorAgent.provider}:${model}` };
     } catch (err) {
         console.warn(`> DIRECTOR FAILED: ${err.message}. Falling back to default prompt.`);
-        return `${post.summary}. STYLE: ${ISO_GHO5T_STYLE}, ${specificStyle}`;
+        return { text: `${post.summary}. STYLE: ${ISO_GHO5T_STYLE}, ${specificStyle}`, director: 'fallback' };
     }
 }
 
-async function generateArtifact(prompt, preferredModel = 'flux') {
+// Pollinations is deterministic for a given prompt + model + seed, which is what makes --regenerate reproducible
+const randomSeed = () => Math.floor(Math.random() * 2 ** 31);
+
+async function generateArtifact(prompt, preferredModel = 'flux', seed = randomSeed()) {
     const cleanPrompt = encodeURIComponent(prompt);
-    const maxRetries = 3;
     let lastError = null;
+    let totalAttempts = 0;
 
-    // Try the full matrix of models, starting with the persona-specific favorite
+    // Try the full matrix of models, starting with the persona-specific favorite.
+    // One request per model per job: repeated failures are the breaker's business, not a retry loop's.
     const baseModels = ['flux', 'zimage', 'imagen-4', 'klein', 'klein-large', 'gptimage', 'default'];
     const models = [preferredModel, ...baseModels.filter(m => m !== preferredModel)];
 
     for (const model of models) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                // Use gen.pollinations.ai for authenticated requests, otherwise use image.pollinations.ai
-                const baseUrl = pollinationApiKey ? 'https://gen.pollinations.ai/image' : 'https://image.pollinations.ai/prompt';
-                const url = `${baseUrl}/${cleanPrompt}?width=1024&height=1024&nologo=true${model !== 'default' ? `&model=${model}` : ''}`;
-
-                console.log(`> ISO_GHO5T: Requesting pixels [MODEL: ${model}] [ATTEMPT: ${attempt}/${maxRetries}]...`);
+        if (!breaker.tryAcquire(model)) {
+            console.warn(`> CIRCUIT ${breaker.state(model).toUpperCase()} FOR MODEL ${model}. SKIPPING.`);
+            continue;
+        }
 
-                const headers = {
-                    'User-Agent': USER_AGENT,
-                    'Referer': 'https://pollinations.ai/'
-                };
+        try {
+            const url = `${generatorUrl}/${cleanPrompt}?width=1024&height=1024&nologo=true&seed=${seed}${model !== 'default' ? `&model=${model}` : ''}`;
 
-                if (pollinationApiKey) {
-                    headers['Authorization'] = `Bearer ${pollinationApiKey}`;
-                }
+            totalAttempts++;
+            console.log(`> ISO_GHO5T: Requesting pixels [MODEL: ${model}] [SEED: ${seed}]...`);
 
-                const response = await fetch(url, { headers });
+            const headers = {
+                'User-Agent': USER_AGENT,
+                'Referer': 'https://pollinations.ai/'
+            };
 
-                if (response.ok) {
-                    const arrayBuffer = await response.arrayBuffer();
-                    return Buffer.from(arrayBuffer);
-                }
+            if (pollinationApiKey) {
+                headers['Authorization'] = `Bearer ${pollinationApiKey}`;
+            }
 
-                const errorText = await response.text().catch(() => "No error body");
-                console.warn(`> NODE WARNING: Model ${model} returned ${response.status}: ${errorText.substring(0, 100)}`);
-                lastError = `Status ${response.status}`;
+            const response = await fetch(url, { headers });
 
-            } catch (err) {
-                console.warn(`> CONNECTION ERROR [ATTEMPT ${attempt}]: ${err.message}`);
-                lastError = err.message;
+            if (response.ok) {
+                const arrayBuffer = await response.arrayBuffer();
+                breaker.recordSuccess(model);
+                return { buffer: Buffer.from(arrayBuffer), model, seed, attempts: totalAttempts };
             }
 
-            if (attempt < maxRetries) {
-                const delay = Math.pow(2, attempt) * 1000;
-                await new Promise(res => setTimeout(res, delay));
-            }
+            const errorText = await response.text().catch(() => "No error body");
+            console.warn(`> NODE WARNING: Model ${model} returned ${response.status}: ${errorText.substring(0, 100)}`);
+            lastError = `${model}: Status ${response.status}`;
+        } catch (err) {
+            // node-fetch puts the whole prompt URL in the message; the code is what matters in the job record
+            console.warn(`> CONNECTION ERROR [MODEL: ${model}]: ${err.code || err.message}`);
+            lastError = `${model}: ${err.code || err.message}`;
         }
-        console.warn(`> MODEL ${model} FAILED AFTER ${maxRetries} ATTEMPTS. TRYING FALLBACK...`);
+
+        breaker.recordFailure(model);
+        run.retry('generator', { model, error: lastError });
+        console.warn(`> MODEL ${model} FAILED. TRYING FALLBACK...`);
     }
 
-    throw new Error(`> SYSTEM FAILURE: All generator nodes unresponsive. Last error: ${lastError}`);
+    throw new Error(`All generator nodes unresponsive or circuit-open. Last error: ${lastError || 'none (every circuit open)'}`);
 }
 
-async function generateAndUploadImage(post) {
-    try {
+// Compact line for the IMG_META strip under VisualUplink
+function formatImageMetadata(provenance) {
+    return [
+        `MODEL: ${provenance.model.toUpperCase()}`,
+        `SEED: ${provenance.seed}`,
+        `ATTEMPTS: ${provenance.attempts}`,
+        `DITHERING: ${provenance.filter ? 'ENABLED' : 'DISABLED'}`
+    ].join(' | ');
+}
+
+/**
+ * Generates, post-processes, uploads and links one image.
+ * `recipe` pins the prompt/seed/model (--regenerate); without it the director writes a fresh prompt.
+ * `history` is the list of earlier provenance records carried over from a replaced image.
+ */
+async function generateAndUploadImage(post, { recipe = null, history = [] } = {}) {
+    const config = getPersona(post.ai_writer)?.visual || { model: "flux", modifier: "" };
+    let customPrompt, director, preferredModel, seed;
+    const filter = recipe ? recipe.filter : applyFilter; // A replay reproduces the recorded pass, not this run's flag
+
+    if (recipe) {
+        ({ prompt: customPrompt, director, model: preferredModel, seed } = recipe);
+        console.log(`> REPLAYING RECORDED PROMPT${recipe.seed ? ` [SEED: ${recipe.seed}]` : ' [NEW SEED]'}: ${customPrompt}`);
+    } else {
         // 3. CONSTRUCT THE PROMPT VIA DIRECTOR
-        let customPrompt = await generateVisualPrompt(post);
+        ({ text: customPrompt, director } = await generateVisualPrompt(post));
 
         // Inject persona-specific modifiers for extra "vibe" as per Mission Instructions
-        const config = PERSONA_VISUALS[post.ai_writer] || { model: "flux", modifier: "" };
         if (config.modifier) {
             customPrompt = `${customPrompt}, ${config.modifier}`;
         }
 
         console.log(`> ISO_GHO5T DIRECTOR CHOSE: ${customPrompt}`);
+        preferredModel = config.model;
+    }
 
-        console.log(`> SENDING SIGNAL TO GENERATOR NODES [PREFERRED MODEL: ${config.model}]...`);
-
-        // 4. GENERATE IMAGE VIA POLLINATION API
-        const fileBuffer = await generateArtifact(customPrompt, config.model);
-        console.log(`> ASSET RETRIEVED. SIZE: ${fileBuffer.length} bytes.`);
+    console.log(`> SENDING SIGNAL TO GENERATOR NODES [PREFERRED MODEL: ${preferredModel}]...`);
 
-        // 5. UPLOAD TO SUPABASE STORAGE
-        const fileName = `${post.slug}-${Date.now()}.png`;
-        const bucketName = 'blog-images';
+    // 4. GENERATE IMAGE VIA POLLINATION API
+    const artifact = await generateArtifact(customPrompt, preferredModel, seed ?? randomSeed());
+    const fileBuffer = artifact.buffer;
+    console.log(`> ASSET RETRIEVED. SIZE: ${fileBuffer.length} bytes. [MODEL: ${artifact.model}] [ATTEMPTS: ${artifact.attempts}]`);
 
-        console.log(`> UPLOADING TO STORAGE BUCKET: ${bucketName}/${fileName}...`);
+    // 5. POST-PROCESS: MASTER PNG + RESPONSIVE AVIF/WEBP VARIANTS
+    const stem = `${post.slug}-${Date.now()}`;
+    console.log(`> POST-PROCESSING ARTIFACT${filter ? ' [CRT FILTER ENGAGED]' : ''}...`);
+    const { master, variants } = await buildImageSet(fileBuffer, stem, { filter });
+    console.log(`> ${variants.length} VARIANTS RENDERED: ${variants.map(v => `${v.width}w.${v.format}`).join(', ')}`);
 
-        const { data: uploadData, error: uploadError } = await supabase
+    // 6. UPLOAD TO SUPABASE STORAGE (master first: it is what image_url points at)
+    for (const file of [master, ...variants]) {
+        console.log(`> UPLOADING TO STORAGE BUCKET: ${BUCKET_NAME}/${file.file} (${file.buffer.length} bytes)...`);
+        const { error: uploadError } = await supabase
             .storage
-            .from(bucketName)
-            .upload(fileName, fileBuffer, {
-                contentType: 'image/png',
+            .from(BUCKET_NAME)
+            .upload(file.file, file.buffer, {
+                contentType: file.contentType,
                 upsert: false
             });
 
         if (uploadError) throw uploadError;
+    }
 
-        // 6. GET PUBLIC URL
-        const { data: publicUrlData } = supabase
-            .storage
-            .from(bucketName)
-            .getPublicUrl(fileName);
+    const { data: publicUrlData } = supabase
+        .storage
+        .from(BUCKET_NAME)
+        .getPublicUrl(master.file);
+
+    console.log(`> ASSET SECURED AT: ${publicUrlData.publicUrl}`);
+
+    // 7. PROVENANCE: enough to reproduce this exact asset with --regenerate
+    const provenance = {
+        file: master.file,
+        prompt: customPrompt,
+        director,
+        generator: new URL(generatorUrl).host,
+        preferred_model: preferredModel,
+        model: artifact.model, // After the fallback chain
+        seed: artifact.seed,
+        attempts: artifact.attempts,
+        width: 1024,
+        height: 1024,
+        filter: filter ? 'crt' : null,
+        generated_at: new Date().toISOString(),
+        history
+    };
+
+    // 8. LINK IMAGE TO POST (Saving only the filenames as per new protocol)
+    console.log(`> UPDATING DATABASE RECORD [ID: ${post.id}]...`);
+    const { error: updateError } = await supabase
+        .from('posts')
+        .update({
+            image_url: master.file,
+            image_variants: variants.map(({ file, width, format }) => ({ file, width, format })),
+            image_provenance: provenance,
+            image_metadata: formatImageMetadata(provenance),
+            image_status: JOB_STATUS.done,
+            image_error: null,
+            image_retry_at: null
+        })
+        .eq('id', post.id);
+
+    if (updateError) throw updateError;
+
+    console.log(`> PROTOCOL COMPLETE FOR "${post.title}". VISUALIZATION ACTIVE.`);
+    return provenance;
+}
 
-        const finalUrl = publicUrlData.publicUrl;
-        console.log(`> ASSET SECURED AT: ${finalUrl}`);
+// 🔁 REGENERATE: reproduce (same prompt + seed + model) or replace a post's image. The old files stay in the bucket.
+async function regenerateImage(slug) {
+    const { data: post, error } = await supabase
+        .from('posts')
+        .select('id, title, summary, slug, ai_writer, image_url, image_variants, image_provenance')
+        .eq('slug', slug)
+        .maybeSingle();
+
+    if (error || !post) {
+        console.error(`> ERROR: ${error ? error.message : `No post with slug '${slug}'`}`);
+        await abort(error || `No post with slug '${slug}'`, { slug });
+    }
 
-        // 7. LINK IMAGE TO POST (Saving only the filename as per new protocol)
-        console.log(`> UPDATING DATABASE RECORD [ID: ${post.id}]...`);
-        const { error: updateError } = await supabase
-            .from('posts')
-            .update({ image_url: fileName })
-            .eq('id', post.id);
+    const previous = post.image_provenance;
+    let recipe = null;
+
+    if (previous && !args['new-prompt']) {
+        recipe = {
+            prompt: previous.prompt,
+            director: previous.director,
+            model: previous.model,
+            seed: args['new-seed'] ? null : previous.seed,
+            // Records from before the filter was tracked follow --filter / ISO_GHO5T_FILTER
+            filter: previous.filter === undefined ? applyFilter : previous.filter === 'crt'
+        };
+    } else if (!previous) {
+        console.warn(`> NO PROVENANCE RECORDED FOR '${slug}'. CONSULTING THE DIRECTOR FOR A NEW PROMPT.`);
+    }
 
-        if (updateError) throw updateError;
+    // The replaced asset moves into the history so it can be compared or restored
+    const { history: earlier = [], ...previousRecord } = previous || {};
+    const history = post.image_url
+        ? [...earlier, { ...previousRecord, file: post.image_url, variants: post.image_variants || [] }]
+        : earlier;
 
-        console.log(`> PROTOCOL COMPLETE FOR "${post.title}". VISUALIZATION ACTIVE.`);
+    console.log(`> REGENERATING VISUAL FOR: "${post.title}"${post.image_url ? ` (KEEPING ${post.image_url})` : ''}`);
+    run.set({ persona: post.ai_writer });
+    try {
+        const provenance = await run.step(`job:${post.slug}`, () => generateAndUploadImage(post, { recipe, history }));
+        await run.finish('success', { slug, model: provenance.model, seed: provenance.seed, replaced: post.image_url || null });
     } catch (err) {
         console.error(`> FAILURE IN ISO_GHO5T FOR "${post.title}":`, err.message);
-        process.exit(1);
+        await abort(err, { slug });
+    }
+}
+
+// 📋 One queued post: success marks it done, failure records the error and schedules the retry
+async function runJob(post, index, total) {
+    console.log(`> [JOB ${index + 1}/${total}] INITIATING GENERATION SEQUENCE FOR: "${post.title}"${post.image_attempts ? ` (RETRY #${post.image_attempts})` : ''}`);
+    try {
+        return await run.step(`job:${post.slug}`, () => generateAndUploadImage(post));
+    } catch (err) {
+        console.error(`> [JOB ${index + 1}/${total}] FAILURE IN ISO_GHO5T FOR "${post.title}":`, err.message);
+        const update = failedJobUpdate(post, err, { maxAttempts });
+        const { error: stateError } = await supabase.from('posts').update(update).eq('id', post.id);
+        if (stateError) console.error(`> DB ERROR: Could not record job state for [ID: ${post.id}]:`, stateError.message);
+        err.jobUpdate = update;
+        throw err;
+    }
+}
+
+function printBacklogSummary({ results, waiting, abandoned, deferred }) {
+    const succeeded = results.filter(r => r.ok);
+    const failed = results.filter(r => !r.ok);
+
+    console.log(`\n> ===== ISO_GHO5T BACKLOG SUMMARY =====`);
+    console.log(`> VISUALIZED:  ${succeeded.length}`);
+    console.log(`> FAILED:      ${failed.length}`);
+    failed.forEach(({ item, error }) => {
+        const next = error.jobUpdate?.image_status === JOB_STATUS.abandoned
+            ? 'ABANDONED'
+            : `RETRY AFTER ${error.jobUpdate?.image_retry_at || 'next run'}`;
+        console.log(`>   - ${item.slug}: ${error.message} [${next}]`);
+    });
+    console.log(`> DEFERRED:    ${deferred.length} (over --limit, next run)`);
+    console.log(`> BACKING OFF: ${waiting.length}`);
+    waiting.forEach(post => console.log(`>   - ${post.slug}: attempt ${post.image_attempts}, retry after ${post.image_retry_at}`));
+    console.log(`> ABANDONED:   ${abandoned.length}${abandoned.length ? ' (fix, then node visualizer.js --regenerate <slug>)' : ''}`);
+    abandoned.forEach(post => console.log(`>   - ${post.slug}: ${post.image_error}`));
+
+    const circuits = breaker.summary().filter(c => c.trips > 0 || c.state !== 'closed');
+    if (circuits.length > 0) {
+        console.log(`> CIRCUITS:    ${circuits.map(c => `${c.key}=${c.state.toUpperCase()} (${c.trips} trip(s))`).join(', ')}`);
     }
 }
 
 async function runVisualizer() {
     console.log("> BOOTING ISO_GHO5T VISUAL PROTOCOL [V4: BATCH PROCESSING]...");
 
-    // 2. FIND TARGETS: Get up to 3 posts that DO NOT have an image yet.
-    const { data: posts, error } = await supabase
+    run = startRun('visualizer', {
+        supabase,
+        context: { mode: args.regenerate ? 'regenerate' : 'batch', concurrency, limit, filter: applyFilter ? 'crt' : null }
+    });
+    console.log(`> RUN ID: ${run.id}`);
+
+    try {
+        directorAgent = run.trackAgent(getAgent(ISO_GHO5T_DIRECTOR, { role: 'director' }), 'director');
+    } catch (err) {
+        console.error(`> FATAL ERROR: ${err.message}`);
+        await abort(err);
+    }
+    console.log(`> VISUAL DIRECTOR ONLINE: ${directorAgent.provider.toUpperCase()} [${directorAgent.model}]`);
+
+    if (args.regenerate) {
+        await regenerateImage(String(args.regenerate));
+        return;
+    }
+
+    // 2. FIND TARGETS: every post without an image that can still go out, minus the ones still backing off
+    const { data: posts, error } = await run.step('scan', () => supabase
         .from('posts')
-        .select('id, title, summary, slug, ai_writer')
+        .select('id, title, summary, slug, ai_writer, image_status, image_attempts, image_error, image_retry_at')
         .is('image_url', null)
-        .order('created_at', { ascending: false })
-        .limit(3);
+        .neq('status', 'rejected')
+        .order('created_at', { ascending: false }));
 
     if (error) {
         console.error("> DB ERROR:", error.message);
-        process.exit(1);
+        await abort(error);
     }
 
-    if (!posts || posts.length === 0) {
-        console.log("> SYSTEM SCAN COMPLETE: No visualizations pending. Sleep mode.");
+    const { ready, waiting, abandoned } = classifyJobs(posts || []);
+    const batch = ready.slice(0, limit);
+    const deferred = ready.slice(limit);
+
+    if (batch.length === 0) {
+        console.log("> SYSTEM SCAN COMPLETE: No visualizations ready. Sleep mode.");
+        printBacklogSummary({ results: [], waiting, abandoned, deferred });
+        await run.finish('idle', { backlog: { waiting: waiting.length, abandoned: abandoned.length } });
         return;
     }
 
-    console.log(`> BATCH ACQUIRED: ${posts.length} targets found.`);
+    console.log(`> BATCH ACQUIRED: ${batch.length} targets found. CONCURRENCY: ${concurrency}.`);
 
-    for (const post of posts) {
-        console.log(`> INITIATING GENERATION SEQUENCE FOR: "${post.title}"`);
-        await generateAndUploadImage(post);
+    const results = await runPool(batch, concurrency, (post, index) => runJob(post, index, batch.length));
 
-        if (posts.indexOf(post) < posts.length - 1) {
-            console.log("> COOLING DOWN GENERATOR NODES (5s)...");
-            await new Promise(res => setTimeout(res, 5000));
-        }
-    }
+    printBacklogSummary({ results, waiting, abandoned, deferred });
+
+    const failed = results.filter(r => !r.ok);
+    await run.finish(failed.length === 0 ? 'success' : failed.length === results.length ? 'failed' : 'partial', {
+        error: failed.length > 0 ? failed.map(r => `${r.item.slug}: ${r.error.message}`).join('; ') : null,
+        jobs: results.map(r => ({ slug: r.item.slug, persona: r.item.ai_writer, ok: r.ok, model: r.value?.model, attempts: r.value?.attempts ?? r.error?.jobUpdate?.image_attempts })),
+        backlog: { deferred: deferred.length, waiting: waiting.length, abandoned: abandoned.length },
+        circuits: breaker.summary()
+    });
 
-    console.log("> ALL BATCH PROTOCOLS EXECUTED.");
+    // Partial failures are retried next run; only a batch where nothing worked fails the workflow
+    if (failed.length === results.length) process.exitCode = 1;
+    else console.log("> ALL BATCH PROTOCOLS EXECUTED.");
 }
 
 runVisualizer();